@@ -0,0 +1,343 @@
+import { QLearningAgent } from './ai.js';
+import { DQNAgent } from './dqn.js';
+import { DynaQAgent, PrioritizedSweepingAgent } from './dyna.js';
+
+/**
+ * Reinforcement learning algorithms for Micromouse AI
+ * Every agent shares QLearningAgent's interface (getAction, learn, startEpisode,
+ * decayExploration, serialize/loadState) and only changes how learn() updates the
+ * Q-table, so the trainer, game loop and worker can drive any of them.
+ */
+
+// Traces below this are dropped so the trace map stays small
+const TRACE_THRESHOLD = 0.01;
+
+/**
+ * SARSA: on-policy TD control. The update bootstraps from the action the agent will
+ * actually take next, so learn() picks that action now and getAction() returns it.
+ */
+export class SarsaAgent extends QLearningAgent {
+    /**
+     * Takes the same arguments as QLearningAgent
+     */
+    constructor(...args) {
+        super(...args);
+        this.type = 'sarsa';
+        this.nextAction = null; // { state, action } committed to by the last update
+    }
+
+    getAction(state) {
+        if (this.nextAction && this.nextAction.state === state) {
+            const { action } = this.nextAction;
+            this.nextAction = null;
+            return action;
+        }
+        return this.selectAction(state);
+    }
+
+    /**
+     * Choose the next action with the behaviour policy and commit to it
+     * @param {string} state - State the action will be taken in
+     * @returns {number} The chosen action
+     */
+    planNextAction(state) {
+        const action = this.selectAction(state);
+        this.nextAction = { state, action };
+        return action;
+    }
+
+    startEpisode() {
+        this.nextAction = null;
+    }
+
+    /**
+     * Q(s,a) += α[r + γ*Q(s',a') - Q(s,a)], where a' is the next action taken
+     */
+    learn(state, action, reward, nextState, done = false) {
+        try {
+            const qValues = this.getQValues(state);
+            this.countStateAction(state, action);
+
+            const nextQ = done ? 0 : this.getQValues(nextState)[this.planNextAction(nextState)];
+            qValues[action] += this.learningRate * (reward + this.discountFactor * nextQ - qValues[action]);
+        } catch (error) {
+            console.error('Error in learning update:', error);
+        }
+    }
+}
+
+/**
+ * Expected SARSA: bootstraps from the expected Q-value of the next state under the
+ * epsilon-greedy policy instead of a sampled next action, which lowers the variance.
+ */
+export class ExpectedSarsaAgent extends QLearningAgent {
+    /**
+     * Takes the same arguments as QLearningAgent
+     */
+    constructor(...args) {
+        super(...args);
+        this.type = 'expectedSarsa';
+    }
+
+    /**
+     * Q(s,a) += α[r + γ*Σ π(a'|s')Q(s',a') - Q(s,a)]
+     */
+    learn(state, action, reward, nextState, done = false) {
+        try {
+            const qValues = this.getQValues(state);
+            this.countStateAction(state, action);
+
+            let expectedQ = 0;
+            if (!done) {
+                const nextQValues = this.getQValues(nextState);
+                const probabilities = this.getPolicyProbabilities(nextQValues);
+                expectedQ = nextQValues.reduce((sum, value, index) => sum + probabilities[index] * value, 0);
+            }
+            qValues[action] += this.learningRate * (reward + this.discountFactor * expectedQ - qValues[action]);
+        } catch (error) {
+            console.error('Error in learning update:', error);
+        }
+    }
+}
+
+/**
+ * Double Q-learning: keeps two independent estimates and lets one pick the best next
+ * action while the other values it, removing the max operator's overestimation bias.
+ * The regular qTable holds their average, which is what the agent acts on.
+ */
+export class DoubleQLearningAgent extends QLearningAgent {
+    /**
+     * Takes the same arguments as QLearningAgent
+     */
+    constructor(...args) {
+        super(...args);
+        this.type = 'doubleQ';
+        this.qTableA = new Map();
+        this.qTableB = new Map();
+    }
+
+    learn(state, action, reward, nextState, done = false) {
+        try {
+            const qValues = this.getQValues(state);
+            this.countStateAction(state, action);
+
+            // Flip a coin for which estimate gets updated; the other one evaluates its choice
+            const [updated, evaluator] = this.random.next() < 0.5
+                ? [this.qTableA, this.qTableB]
+                : [this.qTableB, this.qTableA];
+            const initialValue = this.exploration.initialQValue;
+            const updatedValues = getTableRow(updated, state, initialValue);
+
+            let nextQ = 0;
+            if (!done) {
+                const nextValues = getTableRow(updated, nextState, initialValue);
+                const bestNextAction = nextValues.indexOf(Math.max(...nextValues));
+                nextQ = getTableRow(evaluator, nextState, initialValue)[bestNextAction];
+            }
+            updatedValues[action] += this.learningRate * (reward + this.discountFactor * nextQ - updatedValues[action]);
+
+            const valueA = getTableRow(this.qTableA, state, initialValue)[action];
+            const valueB = getTableRow(this.qTableB, state, initialValue)[action];
+            qValues[action] = (valueA + valueB) / 2;
+        } catch (error) {
+            console.error('Error in learning update:', error);
+        }
+    }
+
+    /**
+     * Loading a single Q-table (e.g. a leaderboard entry) starts both estimates from it
+     */
+    loadQTable(qTable) {
+        super.loadQTable(qTable);
+        this.qTableA = copyTable(this.qTable);
+        this.qTableB = copyTable(this.qTable);
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            qTableA: Array.from(this.qTableA.entries()),
+            qTableB: Array.from(this.qTableB.entries())
+        };
+    }
+
+    loadState(data) {
+        super.loadState(data);
+        if (data.qTableA && data.qTableB) {
+            this.qTableA = copyTable(new Map(data.qTableA));
+            this.qTableB = copyTable(new Map(data.qTableB));
+        }
+    }
+
+    reset() {
+        super.reset();
+        this.qTableA.clear();
+        this.qTableB.clear();
+    }
+}
+
+/**
+ * Shared machinery for the λ algorithms: replacing eligibility traces that spread each
+ * TD error back over the recently visited state-action pairs, fading by γλ per step.
+ */
+class EligibilityTraceAgent extends SarsaAgent {
+    /**
+     * Takes the same arguments as QLearningAgent
+     * @param {object} options - QLearningAgent options, plus:
+     * @param {number} options.lambda - Trace decay (0 = one-step update, 1 = Monte Carlo)
+     */
+    constructor(learningRate, discountFactor, explorationRate, explorationDecay, minExplorationRate, options = {}) {
+        super(learningRate, discountFactor, explorationRate, explorationDecay, minExplorationRate, options);
+        this.lambda = Math.max(0, Math.min(1, options.lambda ?? 0.9));
+        this.traces = new Map(); // State → trace per action
+    }
+
+    startEpisode() {
+        super.startEpisode();
+        this.traces.clear();
+    }
+
+    /**
+     * Apply a TD error to every traced state-action pair
+     * @param {string} state - State of the current transition
+     * @param {number} action - Action of the current transition
+     * @param {number} tdError - TD error of the current transition
+     * @param {boolean} keepTraces - Whether traces carry over to the next step
+     */
+    applyTdError(state, action, tdError, keepTraces) {
+        // Replacing traces: the current pair gets trace 1 and the state's other actions are cleared
+        const stateTraces = new Array(4).fill(0);
+        stateTraces[action] = 1;
+        this.traces.set(state, stateTraces);
+
+        const decay = this.discountFactor * this.lambda;
+        for (const [tracedState, traces] of this.traces) {
+            const qValues = this.getQValues(tracedState);
+            let active = false;
+            for (let i = 0; i < traces.length; i++) {
+                qValues[i] += this.learningRate * tdError * traces[i];
+                traces[i] *= decay;
+                if (traces[i] >= TRACE_THRESHOLD) active = true;
+            }
+            if (!active) this.traces.delete(tracedState);
+        }
+
+        if (!keepTraces) this.traces.clear();
+    }
+
+    serialize() {
+        return { ...super.serialize(), lambda: this.lambda };
+    }
+
+    reset() {
+        super.reset();
+        this.traces.clear();
+    }
+}
+
+/**
+ * SARSA(λ): on-policy SARSA with eligibility traces
+ */
+export class SarsaLambdaAgent extends EligibilityTraceAgent {
+    constructor(...args) {
+        super(...args);
+        this.type = 'sarsaLambda';
+    }
+
+    learn(state, action, reward, nextState, done = false) {
+        try {
+            const qValues = this.getQValues(state);
+            this.countStateAction(state, action);
+
+            const nextQ = done ? 0 : this.getQValues(nextState)[this.planNextAction(nextState)];
+            this.applyTdError(state, action, reward + this.discountFactor * nextQ - qValues[action], !done);
+        } catch (error) {
+            console.error('Error in learning update:', error);
+        }
+    }
+}
+
+/**
+ * Watkins's Q(λ): off-policy Q-learning with eligibility traces. Traces only follow
+ * the greedy policy, so they are cut whenever the next action is exploratory.
+ */
+export class WatkinsQLambdaAgent extends EligibilityTraceAgent {
+    constructor(...args) {
+        super(...args);
+        this.type = 'qLambda';
+    }
+
+    learn(state, action, reward, nextState, done = false) {
+        try {
+            const qValues = this.getQValues(state);
+            this.countStateAction(state, action);
+
+            if (done) {
+                this.applyTdError(state, action, reward - qValues[action], false);
+                return;
+            }
+
+            const nextQValues = this.getQValues(nextState);
+            const maxNextQ = Math.max(...nextQValues);
+            const nextAction = this.planNextAction(nextState);
+            const isGreedy = nextQValues[nextAction] === maxNextQ;
+            this.applyTdError(state, action, reward + this.discountFactor * maxNextQ - qValues[action], isGreedy);
+        } catch (error) {
+            console.error('Error in learning update:', error);
+        }
+    }
+}
+
+// Q-values of a state in one of Double Q-learning's tables, created on first use
+const getTableRow = (table, state, initialValue) => {
+    if (!table.has(state)) {
+        table.set(state, new Array(4).fill(initialValue));
+    }
+    return table.get(state);
+};
+
+const copyTable = (table) => new Map(Array.from(table, ([state, values]) => [state, [...values]]));
+
+// Registry of available agents, keyed by the id used in the UI dropdown and in saved agents.
+// create() takes QLearningAgent's constructor arguments.
+export const AGENTS = {
+    qlearning: { name: 'Q-Learning', create: (...args) => new QLearningAgent(...args) },
+    sarsa: { name: 'SARSA', create: (...args) => new SarsaAgent(...args) },
+    expectedSarsa: { name: 'Expected SARSA', create: (...args) => new ExpectedSarsaAgent(...args) },
+    doubleQ: { name: 'Double Q-Learning', create: (...args) => new DoubleQLearningAgent(...args) },
+    qLambda: { name: "Watkins's Q(λ)", create: (...args) => new WatkinsQLambdaAgent(...args) },
+    sarsaLambda: { name: 'SARSA(λ)', create: (...args) => new SarsaLambdaAgent(...args) },
+    dqn: { name: 'Deep Q-Network', create: (...args) => new DQNAgent(...args) },
+    dynaQ: { name: 'Dyna-Q', create: (...args) => new DynaQAgent(...args) },
+    prioritizedSweeping: { name: 'Prioritized Sweeping', create: (...args) => new PrioritizedSweepingAgent(...args) }
+};
+
+/**
+ * Rebuild an agent of the right type from serialize() output
+ * @param {object} data - Serialized agent
+ * @returns {QLearningAgent} The restored agent
+ */
+export const createAgentFromData = (data) => {
+    const entry = AGENTS[data.type ?? 'qlearning'];
+    if (!entry) {
+        throw new Error(`Unknown agent type "${data.type}"`);
+    }
+
+    const agent = entry.create(
+        data.learningRate,
+        data.discountFactor,
+        data.explorationRate,
+        data.explorationDecay,
+        data.minExplorationRate,
+        {
+            seed: data.seed ?? undefined,
+            exploration: data.exploration,
+            encoding: data.encoding,
+            rewards: data.rewards,
+            lambda: data.lambda,
+            planningSteps: data.planningSteps
+        }
+    );
+    agent.loadState(data);
+    return agent;
+};
@@ -1,6 +1,13 @@
+import { toRandomSource } from './random.js';
+import { createExplorationStrategy } from './exploration.js';
+import { createStateEncoder } from './encoders.js';
+import { createRewardFunction } from './rewards.js';
+
 /**
  * Q-Learning Agent for Micromouse AI
- * Implements reinforcement learning to solve maze navigation
+ * Implements reinforcement learning to solve maze navigation.
+ * Also the base class for the other tabular algorithms in agents.js, which
+ * replace learn() and share everything else (state encoding, rewards, exploration, saving).
  */
 export class QLearningAgent {
     /**
@@ -10,46 +17,64 @@ export class QLearningAgent {
      * @param {number} explorationRate - Probability of random action vs best known action
      * @param {number} explorationDecay - Rate at which exploration decreases over time
      * @param {number} minExplorationRate - Minimum exploration to maintain
+     * @param {object} options - Optional settings
+     * @param {number|string} options.seed - Seed for reproducible action selection
+     * @param {Function|SeededRandom} options.random - Injectable PRNG, used instead of a seed
+     * @param {string|object} options.exploration - Exploration strategy id from EXPLORATION_STRATEGIES,
+     *                                              or its serialized settings. Defaults to epsilon-greedy.
+     * @param {string|string[]} options.encoding - State encoding id from STATE_ENCODINGS, or a list
+     *                                             of STATE_FEATURES ids. Defaults to 'relative'.
+     * @param {string|object} options.rewards - Reward profile id from REWARD_PROFILES, or the profile
+     *                                          itself. Defaults to 'classic'.
      */
     constructor(
         learningRate = 0.3,
         discountFactor = 0.95,
         explorationRate = 0.8,
         explorationDecay = 0.998,
-        minExplorationRate = 0.05
+        minExplorationRate = 0.05,
+        options = {}
     ) {
-        // Validate hyperparameters
-        this.learningRate = Math.max(0, Math.min(1, learningRate));
-        this.discountFactor = Math.max(0, Math.min(1, discountFactor));
-        this.explorationRate = Math.max(0, Math.min(1, explorationRate));
-        this.explorationDecay = Math.max(0.9, Math.min(1, explorationDecay));
-        this.minExplorationRate = Math.max(0, Math.min(0.2, minExplorationRate));
-        
+        this.setHyperparameters({ learningRate, discountFactor, explorationRate, explorationDecay, minExplorationRate });
+
+        this.type = 'qlearning'; // Registry id in AGENTS, stored with serialized agents
         this.qTable = new Map();
         this.stateActionCounts = new Map(); // Track state-action pair frequencies
+
+        // All randomness goes through this source so a seed reproduces the whole trajectory
+        this.random = toRandomSource(options.random ?? options.seed);
+        this.seed = this.random.seed;
+
+        this.exploration = createExplorationStrategy(options.exploration);
+        this.stateEncoder = createStateEncoder(options.encoding);
+        this.rewards = createRewardFunction(options.rewards);
     }
 
     /**
-     * Create state representation focusing on relative goal position and local obstacles
-     * This encoding helps the agent generalize across different maze positions
+     * Validate and set hyperparameters; also used to change them while the agent trains.
+     * Parameters left out keep their current value.
+     * @param {object} params - learningRate, discountFactor, explorationRate, explorationDecay and/or minExplorationRate
+     */
+    setHyperparameters(params) {
+        const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+        if (params.learningRate !== undefined) this.learningRate = clamp(params.learningRate, 0, 1);
+        if (params.discountFactor !== undefined) this.discountFactor = clamp(params.discountFactor, 0, 1);
+        if (params.explorationRate !== undefined) {
+            this.explorationRate = clamp(params.explorationRate, 0, 1);
+            this.explorationStart = this.explorationRate; // Where the decay starts again after a reset
+        }
+        if (params.explorationDecay !== undefined) this.explorationDecay = clamp(params.explorationDecay, 0.9, 1);
+        if (params.minExplorationRate !== undefined) this.minExplorationRate = clamp(params.minExplorationRate, 0, 0.2);
+    }
+
+    /**
+     * Create the state representation with the agent's state encoder. The default
+     * 'relative' encoding is the offset to the nearest goal square (so multi-cell goals
+     * read as (0, 0) anywhere inside) plus the four surrounding walls, e.g. "4,-2,0110".
      */
     getRelativeState(mouse) {
         try {
-            const distToGoal = {
-                x: mouse.maze.end.x - mouse.x,
-                y: mouse.maze.end.y - mouse.y
-            };
-            
-            // Check walls in all four directions (right, down, left, up)
-            const walls = [
-                mouse.maze.isWall(mouse.x + 1, mouse.y),
-                mouse.maze.isWall(mouse.x, mouse.y + 1), 
-                mouse.maze.isWall(mouse.x - 1, mouse.y),
-                mouse.maze.isWall(mouse.x, mouse.y - 1)
-            ];
-            
-            // Create compact state string
-            return `${distToGoal.x},${distToGoal.y},${walls.map(w => w ? '1' : '0').join('')}`;
+            return this.stateEncoder.encode(mouse);
         } catch (error) {
             console.error('Error generating state:', error);
             return 'error_state';
@@ -57,107 +82,147 @@ export class QLearningAgent {
     }
 
     /**
-     * Select action using epsilon-greedy strategy with tie-breaking
+     * Choose the action to take in a state. On-policy agents (SARSA) override this to
+     * return the action they already committed to while learning.
      * @param {string} state - Current state representation
      * @returns {number} Action index (0: right, 1: down, 2: left, 3: up)
      */
     getAction(state) {
-        try {
-            // Exploration: take random action
-            if (Math.random() < this.explorationRate) {
-                return Math.floor(Math.random() * 4);
-            }
-
-            // Initialize Q-values for new states
-            if (!this.qTable.has(state)) {
-                this.qTable.set(state, new Array(4).fill(0));
-            }
+        return this.selectAction(state);
+    }
 
-            const qValues = this.qTable.get(state);
-            const maxQ = Math.max(...qValues);
-            
-            // Handle ties by random selection among best actions
-            const bestActions = qValues
-                .map((value, index) => value === maxQ ? index : null)
-                .filter(index => index !== null);
-                
-            return bestActions[Math.floor(Math.random() * bestActions.length)];
+    /**
+     * Select action using the exploration strategy (epsilon-greedy by default)
+     * @param {string} state - Current state representation
+     * @returns {number} Action index (0: right, 1: down, 2: left, 3: up)
+     */
+    selectAction(state) {
+        try {
+            return this.exploration.selectAction(this, state);
         } catch (error) {
             console.error('Error selecting action:', error);
-            return Math.floor(Math.random() * 4); // Fallback to random action
+            return this.random.nextInt(4); // Fallback to random action
+        }
+    }
+
+    /**
+     * Greedy action for the learned policy, without exploration or random tie-breaking
+     * (ties go to the lowest action) so replaying the policy doesn't consume the PRNG
+     * @param {string} state - Current state representation
+     * @returns {number} Action index (0: right, 1: down, 2: left, 3: up)
+     */
+    getBestAction(state) {
+        const qValues = this.qTable.get(state);
+        if (!qValues) return 0;
+        return qValues.indexOf(Math.max(...qValues));
+    }
+
+    /**
+     * Probability of each action under the exploration policy (used by Expected SARSA)
+     * @param {number[]} qValues - Q-values of a state
+     * @returns {number[]} Probabilities summing to 1
+     */
+    getPolicyProbabilities(qValues) {
+        return this.exploration.getProbabilities(this, qValues);
+    }
+
+    /**
+     * Intrinsic reward the exploration strategy adds to a step while learning
+     * (count-based novelty bonus; 0 for the other strategies)
+     */
+    getExplorationBonus(state, action) {
+        return this.exploration.getRewardBonus(this, state, action);
+    }
+
+    /**
+     * Q-values of a state, created the first time the state is seen (as zeros, or
+     * optimistic values when the exploration strategy asks for them)
+     * @param {string} state - State representation
+     * @returns {number[]} Q-values indexed by action (the stored array, not a copy)
+     */
+    getQValues(state) {
+        if (!this.qTable.has(state)) {
+            this.qTable.set(state, new Array(4).fill(this.exploration.initialQValue));
         }
+        return this.qTable.get(state);
     }
 
+    /**
+     * Q-values of a state without creating it, for displays that mustn't grow the Q-table
+     * @param {string} state - State representation
+     * @returns {number[]|null} Q-values indexed by action, or null for states never seen
+     */
+    peekQValues(state) {
+        return this.qTable.get(state) ?? null;
+    }
+
+    /**
+     * How many actions have been taken in a state over the whole training run
+     * @param {string} state - State representation
+     * @returns {number} Visit count
+     */
+    getStateVisitCount(state) {
+        let visits = 0;
+        for (let action = 0; action < 4; action++) {
+            visits += this.stateActionCounts.get(`${state}:${action}`) || 0;
+        }
+        return visits;
+    }
+
+    /**
+     * Record that an action was taken in a state
+     */
+    countStateAction(state, action) {
+        const stateActionKey = `${state}:${action}`;
+        this.stateActionCounts.set(stateActionKey,
+            (this.stateActionCounts.get(stateActionKey) || 0) + 1
+        );
+    }
+
+    /**
+     * Called at the start of every episode. One-step Q-learning keeps no per-episode state.
+     */
+    startEpisode() {}
+
     /**
      * Update Q-values based on experience using Bellman equation
      * Q(s,a) = Q(s,a) + α[r + γ*max(Q(s',a')) - Q(s,a)]
+     * Terminal transitions (goal reached or episode timed out) don't bootstrap: Q(s,a) += α[r - Q(s,a)]
+     * @param {boolean} done - Whether this transition ended the episode
      */
-    learn(state, action, reward, nextState) {
+    learn(state, action, reward, nextState, done = false) {
         try {
-            // Initialize Q-values for new states
-            if (!this.qTable.has(state)) {
-                this.qTable.set(state, new Array(4).fill(0));
-            }
-            if (!this.qTable.has(nextState)) {
-                this.qTable.set(nextState, new Array(4).fill(0));
-            }
+            // New states start at the exploration strategy's initial Q-value
+            const qValues = this.getQValues(state);
+            const nextQValues = this.getQValues(nextState);
 
             // Update state-action counts for tracking
-            const stateActionKey = `${state}:${action}`;
-            this.stateActionCounts.set(stateActionKey, 
-                (this.stateActionCounts.get(stateActionKey) || 0) + 1
-            );
+            this.countStateAction(state, action);
 
             // Apply Q-learning update rule
-            const currentQ = this.qTable.get(state)[action];
-            const maxNextQ = Math.max(...this.qTable.get(nextState));
+            const currentQ = qValues[action];
+            const maxNextQ = done ? 0 : Math.max(...nextQValues);
             const newQ = currentQ + this.learningRate * (reward + this.discountFactor * maxNextQ - currentQ);
             
-            this.qTable.get(state)[action] = newQ;
+            qValues[action] = newQ;
         } catch (error) {
             console.error('Error in learning update:', error);
         }
     }
 
     /**
-     * Calculate reward based on mouse action and resulting state
-     * Reward structure encourages goal-seeking while penalizing inefficient behavior
+     * Calculate reward based on mouse action and resulting state, from the agent's
+     * reward profile (by default goal-seeking shaping that penalizes inefficient behavior)
      */
     getReward(mouse, action, wasValidMove) {
-        let reward = -0.1; // Small step penalty to encourage efficiency
-        
-        if (!wasValidMove) {
-            return -10; // Significant penalty for hitting walls
-        }
-        
-        // Big reward for reaching the goal
-        if (mouse.isAtEnd()) {
-            return 100;
-        }
-        
-        // Distance-based reward to guide exploration
-        const currentDist = Math.abs(mouse.x - mouse.maze.end.x) + 
-                           Math.abs(mouse.y - mouse.maze.end.y);
-        
-        if (mouse.lastMove && mouse.lastMove.dx !== undefined) {
-            const prevDist = Math.abs(mouse.lastMove.dx - mouse.maze.end.x) + 
-                            Math.abs(mouse.lastMove.dy - mouse.maze.end.y);
-            
-            if (currentDist < prevDist) {
-                reward += 2; // Reward for moving closer to goal
-            } else if (currentDist > prevDist) {
-                reward -= 1; // Penalty for moving away from goal
-            }
-        }
-        
-        // Discourage revisiting already explored cells
-        const posKey = `${mouse.x},${mouse.y}`;
-        if (mouse.visited.has(posKey)) {
-            const visitCount = Array.from(mouse.visited).filter(pos => pos === posKey).length;
-            reward -= Math.min(5, visitCount); // Escalating penalty for repeated visits
-        }
-        
-        return reward;
+        return this.rewards.getReward(mouse, wasValidMove, this.discountFactor);
+    }
+
+    /**
+     * Terminal penalty added to the last transition when an episode runs out of steps
+     */
+    getTimeoutPenalty() {
+        return this.rewards.getTimeoutPenalty();
     }
 
     /**
@@ -168,6 +233,7 @@ export class QLearningAgent {
             this.minExplorationRate, 
             this.explorationRate * this.explorationDecay
         );
+        this.exploration.decay();
     }
 
     /**
@@ -181,6 +247,67 @@ export class QLearningAgent {
         return copy;
     }
 
+    /**
+     * Plain-object copy of the agent (hyperparameters, exploration state and Q-table)
+     * that survives structured cloning, e.g. to hand the agent to a Web Worker
+     */
+    serialize() {
+        return {
+            type: this.type,
+            learningRate: this.learningRate,
+            discountFactor: this.discountFactor,
+            explorationRate: this.explorationRate,
+            explorationStart: this.explorationStart,
+            explorationDecay: this.explorationDecay,
+            minExplorationRate: this.minExplorationRate,
+            seed: this.seed,
+            randomState: this.random.state ?? null, // Position in the seeded stream; injected functions have none
+            exploration: this.exploration.serialize(),
+            encoding: this.stateEncoder.serialize(),
+            rewards: this.rewards.serialize(),
+            stateActionCounts: Array.from(this.stateActionCounts.entries()),
+            qTable: Array.from(this.qTable.entries())
+        };
+    }
+
+    /**
+     * Take over the learned state from serialize() output (the hyperparameters are
+     * constructor arguments, see createAgentFromData in agents.js)
+     * @param {object} data - Serialized agent
+     */
+    loadState(data) {
+        this.checkEncoding(data.encoding);
+        this.loadExplorationState(data);
+        this.loadQTable(new Map(data.qTable));
+    }
+
+    /**
+     * Refuse learned values whose states were encoded differently: their keys or inputs
+     * would mean something else to this agent
+     * @param {string|string[]} encoding - Encoding saved with the values (missing means the original 'relative' one)
+     */
+    checkEncoding(encoding = 'relative') {
+        if (!this.stateEncoder.matches(encoding)) {
+            throw new Error(`Saved model uses the "${createStateEncoder(encoding).name}" state encoding, ` +
+                `but this agent uses "${this.stateEncoder.name}"`);
+        }
+    }
+
+    /**
+     * Take over epsilon and the value it started from, the exploration strategy's schedule,
+     * the visit counts that UCB1 and the novelty bonus depend on, and the position in the
+     * random stream (so a run handed to a worker and back carries on instead of repeating
+     * its first draws)
+     * @param {object} data - Serialized agent
+     */
+    loadExplorationState(data) {
+        this.explorationRate = data.explorationRate;
+        if (Number.isFinite(data.explorationStart)) this.explorationStart = data.explorationStart;
+        if (Number.isInteger(data.randomState) && 'state' in this.random) this.random.state = data.randomState;
+        if (data.exploration) this.exploration = createExplorationStrategy(data.exploration);
+        if (data.stateActionCounts) this.stateActionCounts = new Map(data.stateActionCounts);
+    }
+
     /**
      * Load Q-table from another agent (for loading best performers)
      */
@@ -200,13 +327,22 @@ export class QLearningAgent {
      */
     getTrainingStats() {
         return {
-            statesExplored: this.qTable.size,
+            statesExplored: this.getStatesExplored(),
             explorationRate: this.explorationRate,
+            exploration: this.exploration.describe(this),
             totalStateActionPairs: this.stateActionCounts.size,
             avgQValue: this.getAverageQValue()
         };
     }
 
+    /**
+     * Number of states with learned values; cheap enough to read after every episode,
+     * unlike the rest of getTrainingStats()
+     */
+    getStatesExplored() {
+        return this.qTable.size;
+    }
+
     /**
      * Calculate average Q-value as a rough measure of learned value
      */
@@ -232,41 +368,8 @@ export class QLearningAgent {
     reset() {
         this.qTable.clear();
         this.stateActionCounts.clear();
-        this.explorationRate = 0.8; // Reset to initial exploration rate
-    }
-
-    /**
-     * Saves the current Q-table to localStorage
-     * @param {string} key - Optional key to save under. Defaults to 'micromouse_qtable'
-     */
-    saveQTable(key = 'micromouse_qtable') {
-        try {
-            const serializedQTable = Array.from(this.qTable.entries());
-            localStorage.setItem(key, JSON.stringify(serializedQTable));
-            return true;
-        } catch (error) {
-            console.error('Failed to save Q-table:', error);
-            return false;
-        }
-    }
-
-    /**
-     * Loads a Q-table from localStorage
-     * @param {string} key - Optional key to load from. Defaults to 'micromouse_qtable'
-     * @returns {boolean} - Whether the load was successful
-     */
-    loadQTableFromStorage(key = 'micromouse_qtable') {
-        try {
-            const saved = localStorage.getItem(key);
-            if (saved) {
-                const entries = JSON.parse(saved);
-                this.qTable = new Map(entries);
-                return true;
-            }
-            return false;
-        } catch (error) {
-            console.error('Failed to load Q-table:', error);
-            return false;
-        }
+        this.explorationRate = this.explorationStart; // Reset to the configured epsilon start
+        this.exploration.reset();
+        this.random.reset();
     }
 } 
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * Learning curve charts for Micromouse AI
+ * Plots the per-episode history on a canvas, one panel per metric: every episode as a
+ * faint mark and the moving average as a line on top, so convergence is visible instead
+ * of guessed from the leaderboard.
+ */
+
+// Episode summary fields that get a panel, top to bottom
+export const CHART_METRICS = {
+    steps: { name: 'Steps', color: '#4CAF50' },
+    reward: { name: 'Episode reward', color: '#FF9800' },
+    explorationRate: { name: 'Epsilon', color: '#2196F3' },
+    statesExplored: { name: 'Q-table size', color: '#BA68C8' },
+    wallHits: { name: 'Wall hits', color: '#f44336' }
+};
+
+// Room for the value labels on the left and the panel titles above each plot
+const MARGIN_LEFT = 90;
+const MARGIN_RIGHT = 20;
+const MARGIN_TOP = 34;
+const MARGIN_BOTTOM = 12;
+const FONT = '22px monospace';
+
+/**
+ * Trailing moving average
+ * @param {number[]} values - Series, oldest first
+ * @param {number} window - Number of values averaged (fewer at the start of the series)
+ * @returns {number[]} Average ending at each value
+ */
+export const movingAverage = (values, window) => {
+    const averages = new Array(values.length);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= window) sum -= values[i - window];
+        averages[i] = sum / Math.min(i + 1, window);
+    }
+    return averages;
+};
+
+const formatValue = (value) => Math.abs(value) >= 100 ? Math.round(value).toString() : Number(value.toFixed(2)).toString();
+
+/**
+ * Draws the learning curves of a training run
+ */
+export class LearningCurveChart {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    /**
+     * Redraw every panel
+     * @param {object[]} history - Episode summaries from the Trainer, oldest first
+     * @param {number} window - Episodes in each moving average
+     */
+    draw(history, window) {
+        const { ctx, canvas } = this;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.font = FONT;
+
+        if (history.length === 0) {
+            ctx.fillStyle = '#888';
+            ctx.textAlign = 'center';
+            ctx.fillText('Learning curves appear after the first episode', canvas.width / 2, canvas.height / 2);
+            return;
+        }
+
+        const metrics = Object.entries(CHART_METRICS);
+        const panelHeight = canvas.height / metrics.length;
+        metrics.forEach(([field, metric], index) => {
+            const values = history.map(episode => episode[field] ?? 0);
+            this.drawPanel(values, metric, index * panelHeight, panelHeight, window);
+        });
+    }
+
+    /**
+     * Draw one metric. Long histories are bucketed per pixel column: the range of the
+     * episodes in a column is drawn as a bar and the moving average at its last episode as the line.
+     */
+    drawPanel(values, metric, top, height, window) {
+        const { ctx, canvas } = this;
+        const averages = movingAverage(values, window);
+        const left = MARGIN_LEFT;
+        const plotWidth = canvas.width - MARGIN_LEFT - MARGIN_RIGHT;
+        const plotTop = top + MARGIN_TOP;
+        const plotHeight = height - MARGIN_TOP - MARGIN_BOTTOM;
+
+        // A loop, since Math.min(...values) runs out of stack on long runs
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of values) {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        const toY = (value) => plotTop + (1 - (value - min) / (max - min)) * plotHeight;
+        const columns = Math.min(values.length, Math.floor(plotWidth));
+        const toX = (column) => left + (columns > 1 ? column / (columns - 1) : 0.5) * plotWidth;
+        const columnOf = (index) => Math.floor(index * columns / values.length);
+
+        // Axis and labels
+        ctx.strokeStyle = '#444';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(left, plotTop);
+        ctx.lineTo(left, plotTop + plotHeight);
+        ctx.lineTo(left + plotWidth, plotTop + plotHeight);
+        ctx.stroke();
+
+        ctx.fillStyle = '#888';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText(formatValue(max), left - 8, plotTop);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(formatValue(min), left - 8, plotTop + plotHeight);
+
+        ctx.fillStyle = metric.color;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(
+            `${metric.name}: ${formatValue(averages[averages.length - 1])} (avg of ${Math.min(window, values.length)}) · ${values.length} episodes`,
+            left, top + MARGIN_TOP - 8
+        );
+
+        // Per-episode values, faint
+        ctx.strokeStyle = metric.color;
+        ctx.globalAlpha = 0.3;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let columnStart = 0;
+        while (columnStart < values.length) {
+            const column = columnOf(columnStart);
+            let columnEnd = columnStart;
+            let low = values[columnStart];
+            let high = values[columnStart];
+            while (columnEnd + 1 < values.length && columnOf(columnEnd + 1) === column) {
+                columnEnd++;
+                low = Math.min(low, values[columnEnd]);
+                high = Math.max(high, values[columnEnd]);
+            }
+            // At least a short tick, so single episodes stay visible
+            ctx.moveTo(toX(column), Math.min(toY(high), toY(low) - 2));
+            ctx.lineTo(toX(column), toY(low));
+            columnStart = columnEnd + 1;
+        }
+        ctx.stroke();
+
+        // Moving average
+        ctx.globalAlpha = 1;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        for (let i = 0; i < values.length; i++) {
+            const column = columnOf(i);
+            const lastInColumn = i + 1 === values.length || columnOf(i + 1) !== column;
+            if (!lastInColumn) continue;
+            if (column === 0) ctx.moveTo(toX(column), toY(averages[i]));
+            else ctx.lineTo(toX(column), toY(averages[i]));
+        }
+        ctx.stroke();
+    }
+}
@@ -0,0 +1,430 @@
+import { QLearningAgent } from './ai.js';
+
+/**
+ * Deep Q-Network agent for Micromouse AI
+ * Replaces the Q-table with a small multilayer perceptron trained on CPU in plain
+ * JavaScript: hand-written forward/backward passes, Adam updates, an experience replay
+ * buffer and a periodically synced target network, with the Huber loss on TD errors.
+ */
+
+// Adam optimizer constants
+const ADAM_BETA1 = 0.9;
+const ADAM_BETA2 = 0.999;
+const ADAM_EPSILON = 1e-8;
+
+
+/**
+ * Fully connected network with ReLU hidden layers and a linear output layer
+ */
+export class NeuralNetwork {
+    /**
+     * @param {number[]} layerSizes - Units per layer, input first, e.g. [6, 32, 32, 4]
+     * @param {object} random - PRNG with next(), used for weight initialisation
+     */
+    constructor(layerSizes, random) {
+        this.layerSizes = [...layerSizes];
+        this.weights = []; // weights[l][j * inputs + i] connects input i to unit j of layer l + 1
+        this.biases = [];
+
+        for (let l = 0; l < layerSizes.length - 1; l++) {
+            const inputs = layerSizes[l];
+            const outputs = layerSizes[l + 1];
+            // He initialisation suits ReLU units
+            const limit = Math.sqrt(6 / inputs);
+            const weights = new Float64Array(inputs * outputs);
+            for (let i = 0; i < weights.length; i++) {
+                weights[i] = (random.next() * 2 - 1) * limit;
+            }
+            this.weights.push(weights);
+            this.biases.push(new Float64Array(outputs));
+        }
+        this.resetOptimizer();
+    }
+
+    /**
+     * Clear Adam's moment estimates
+     */
+    resetOptimizer() {
+        this.step = 0;
+        this.weightMoments = this.weights.map(weights => ({ m: new Float64Array(weights.length), v: new Float64Array(weights.length) }));
+        this.biasMoments = this.biases.map(biases => ({ m: new Float64Array(biases.length), v: new Float64Array(biases.length) }));
+    }
+
+    /**
+     * Run the network and keep every layer's activations for backpropagation
+     * @param {number[]} input - Input vector
+     * @returns {Float64Array[]} Activations per layer, input first and output last
+     */
+    forward(input) {
+        const activations = [Float64Array.from(input)];
+        for (let l = 0; l < this.weights.length; l++) {
+            const previous = activations[l];
+            const weights = this.weights[l];
+            const output = Float64Array.from(this.biases[l]);
+            const isHidden = l < this.weights.length - 1;
+
+            for (let j = 0; j < output.length; j++) {
+                let sum = output[j];
+                const offset = j * previous.length;
+                for (let i = 0; i < previous.length; i++) {
+                    sum += weights[offset + i] * previous[i];
+                }
+                output[j] = isHidden ? Math.max(0, sum) : sum;
+            }
+            activations.push(output);
+        }
+        return activations;
+    }
+
+    /**
+     * @param {number[]} input - Input vector
+     * @returns {number[]} Output vector
+     */
+    predict(input) {
+        return Array.from(this.forward(input).at(-1));
+    }
+
+    /**
+     * One Adam step on a minibatch, minimising the Huber loss between the output for
+     * each sample's action and its target. The other outputs get no gradient.
+     * @param {number[][]} inputs - Input vectors
+     * @param {number[]} actions - Output index trained for each sample
+     * @param {number[]} targets - Target value for each sample
+     * @param {number} stepSize - Adam learning rate
+     * @returns {number} Mean Huber loss before the update
+     */
+    train(inputs, actions, targets, stepSize) {
+        const weightGradients = this.weights.map(weights => new Float64Array(weights.length));
+        const biasGradients = this.biases.map(biases => new Float64Array(biases.length));
+        let loss = 0;
+
+        for (let n = 0; n < inputs.length; n++) {
+            const activations = this.forward(inputs[n]);
+            const error = activations.at(-1)[actions[n]] - targets[n];
+            const absError = Math.abs(error);
+            loss += absError <= 1 ? 0.5 * error * error : absError - 0.5;
+
+            // The Huber loss gradient is the error clipped to [-1, 1]
+            let delta = new Float64Array(this.layerSizes.at(-1));
+            delta[actions[n]] = Math.max(-1, Math.min(1, error));
+
+            for (let l = this.weights.length - 1; l >= 0; l--) {
+                const previous = activations[l];
+                const weights = this.weights[l];
+                const previousDelta = new Float64Array(previous.length);
+
+                for (let j = 0; j < delta.length; j++) {
+                    if (delta[j] === 0) continue;
+                    const offset = j * previous.length;
+                    biasGradients[l][j] += delta[j];
+                    for (let i = 0; i < previous.length; i++) {
+                        weightGradients[l][offset + i] += delta[j] * previous[i];
+                        previousDelta[i] += weights[offset + i] * delta[j];
+                    }
+                }
+
+                // ReLU passes gradient only through units that were active
+                if (l > 0) {
+                    for (let i = 0; i < previousDelta.length; i++) {
+                        if (previous[i] <= 0) previousDelta[i] = 0;
+                    }
+                }
+                delta = previousDelta;
+            }
+        }
+
+        this.step++;
+        for (let l = 0; l < this.weights.length; l++) {
+            this.applyAdam(this.weights[l], weightGradients[l], this.weightMoments[l], inputs.length, stepSize);
+            this.applyAdam(this.biases[l], biasGradients[l], this.biasMoments[l], inputs.length, stepSize);
+        }
+        return loss / inputs.length;
+    }
+
+    applyAdam(parameters, gradients, moments, batchSize, stepSize) {
+        const correction1 = 1 - Math.pow(ADAM_BETA1, this.step);
+        const correction2 = 1 - Math.pow(ADAM_BETA2, this.step);
+        for (let i = 0; i < parameters.length; i++) {
+            const gradient = gradients[i] / batchSize;
+            moments.m[i] = ADAM_BETA1 * moments.m[i] + (1 - ADAM_BETA1) * gradient;
+            moments.v[i] = ADAM_BETA2 * moments.v[i] + (1 - ADAM_BETA2) * gradient * gradient;
+            parameters[i] -= stepSize * (moments.m[i] / correction1) / (Math.sqrt(moments.v[i] / correction2) + ADAM_EPSILON);
+        }
+    }
+
+    /**
+     * Overwrite this network's parameters with another's (used to sync the target network)
+     * @param {NeuralNetwork} other - Network with the same layer sizes
+     */
+    copyFrom(other) {
+        this.weights = other.weights.map(weights => Float64Array.from(weights));
+        this.biases = other.biases.map(biases => Float64Array.from(biases));
+    }
+
+    /**
+     * Plain-object copy of Adam's step count and moment estimates, kept apart from the
+     * parameters so leaderboard copies of the weights stay small
+     */
+    serializeOptimizer() {
+        const copy = (moments) => moments.map(({ m, v }) => ({ m: Array.from(m), v: Array.from(v) }));
+        return { step: this.step, weightMoments: copy(this.weightMoments), biasMoments: copy(this.biasMoments) };
+    }
+
+    /**
+     * Carry on with the optimizer state from serializeOptimizer()
+     * @param {object} data - Serialized optimizer state of a network with the same layer sizes
+     */
+    loadOptimizer(data) {
+        const copy = (moments) => moments.map(({ m, v }) => ({ m: Float64Array.from(m), v: Float64Array.from(v) }));
+        this.step = data.step;
+        this.weightMoments = copy(data.weightMoments);
+        this.biasMoments = copy(data.biasMoments);
+    }
+
+    /**
+     * Plain-object copy of the parameters (optimizer state isn't kept)
+     */
+    serialize() {
+        return {
+            layerSizes: [...this.layerSizes],
+            weights: this.weights.map(weights => Array.from(weights)),
+            biases: this.biases.map(biases => Array.from(biases))
+        };
+    }
+
+    /**
+     * Rebuild a network from serialize() output
+     * @param {object} data - Serialized network
+     * @returns {NeuralNetwork} The restored network
+     */
+    static deserialize(data) {
+        const network = new NeuralNetwork(data.layerSizes, { next: () => 0.5 });
+        network.weights = data.weights.map(weights => Float64Array.from(weights));
+        network.biases = data.biases.map(biases => Float64Array.from(biases));
+        return network;
+    }
+}
+
+/**
+ * Fixed-size experience replay memory. Once full, the oldest transitions are overwritten.
+ */
+export class ReplayBuffer {
+    /**
+     * @param {number} capacity - Maximum number of stored transitions
+     */
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.transitions = [];
+        this.next = 0;
+    }
+
+    get size() {
+        return this.transitions.length;
+    }
+
+    add(transition) {
+        if (this.transitions.length < this.capacity) {
+            this.transitions.push(transition);
+        } else {
+            this.transitions[this.next] = transition;
+        }
+        this.next = (this.next + 1) % this.capacity;
+    }
+
+    /**
+     * Draw transitions uniformly at random (with replacement)
+     * @param {number} count - Number of transitions
+     * @param {object} random - PRNG with nextInt()
+     * @returns {object[]} Sampled transitions
+     */
+    sample(count, random) {
+        return Array.from({ length: count }, () => this.transitions[random.nextInt(this.transitions.length)]);
+    }
+
+    clear() {
+        this.transitions = [];
+        this.next = 0;
+    }
+
+    serialize() {
+        return { transitions: [...this.transitions], next: this.next };
+    }
+
+    load(data) {
+        this.transitions = data.transitions.slice(0, this.capacity);
+        this.next = this.transitions.length < this.capacity ? this.transitions.length : data.next % this.capacity;
+    }
+}
+
+/**
+ * DQN agent. States are numeric feature vectors built from the same inputs as the
+ * tabular state (offset to the goal and the four surrounding walls), and the network
+ * maps them to one Q-value per action. Exploration, rewards and the training loop are
+ * inherited from QLearningAgent; for this agent the Q-table copies kept on the
+ * leaderboard are network weights.
+ */
+export class DQNAgent extends QLearningAgent {
+    /**
+     * Takes the same arguments as QLearningAgent. The tabular learning rate isn't used:
+     * the network is trained by Adam with options.stepSize.
+     * @param {object} options - QLearningAgent options, plus:
+     * @param {number[]} options.hiddenLayers - Units per hidden layer
+     * @param {number} options.stepSize - Adam learning rate
+     * @param {number} options.batchSize - Transitions per training minibatch
+     * @param {number} options.replayCapacity - Transitions kept in the replay buffer
+     * @param {number} options.targetUpdateInterval - Training steps between target network syncs
+     */
+    constructor(learningRate, discountFactor, explorationRate, explorationDecay, minExplorationRate, options = {}) {
+        super(learningRate, discountFactor, explorationRate, explorationDecay, minExplorationRate, options);
+        this.type = 'dqn';
+        this.hiddenLayers = options.hiddenLayers ?? [32, 32];
+        this.stepSize = options.stepSize ?? 0.001;
+        this.batchSize = options.batchSize ?? 32;
+        this.replayCapacity = options.replayCapacity ?? 10000;
+        this.targetUpdateInterval = options.targetUpdateInterval ?? 250;
+
+        this.replay = new ReplayBuffer(this.replayCapacity);
+        this.createNetworks();
+    }
+
+    createNetworks() {
+        this.network = new NeuralNetwork([this.stateEncoder.size, ...this.hiddenLayers, 4], this.random);
+        this.targetNetwork = NeuralNetwork.deserialize(this.network.serialize());
+        this.trainingSteps = 0;
+        this.lastLoss = 0;
+    }
+
+    /**
+     * Numeric state: the same features the tabular state string encodes, as numbers
+     * (with the default encoding, the goal offset scaled by the maze size and four wall bits)
+     * @returns {number[]} Feature vector
+     */
+    getRelativeState(mouse) {
+        return this.stateEncoder.getValues(mouse);
+    }
+
+    getQValues(state) {
+        return this.network.predict(state);
+    }
+
+    // The network has a value for every state, seen or not
+    peekQValues(state) {
+        return this.getQValues(state);
+    }
+
+    getBestAction(state) {
+        const qValues = this.getQValues(state);
+        return qValues.indexOf(Math.max(...qValues));
+    }
+
+    /**
+     * Store the transition, then train the online network on a replayed minibatch
+     * towards r + γ*max(Q_target(s',a')) (just r for terminal transitions)
+     */
+    learn(state, action, reward, nextState, done = false) {
+        try {
+            this.countStateAction(state, action);
+            this.replay.add({ state, action, reward, nextState, done });
+            if (this.replay.size < this.batchSize) return;
+
+            const batch = this.replay.sample(this.batchSize, this.random);
+            const targets = batch.map(transition => {
+                if (transition.done) return transition.reward;
+                const nextQ = Math.max(...this.targetNetwork.predict(transition.nextState));
+                return transition.reward + this.discountFactor * nextQ;
+            });
+
+            this.lastLoss = this.network.train(
+                batch.map(transition => transition.state),
+                batch.map(transition => transition.action),
+                targets,
+                this.stepSize
+            );
+
+            this.trainingSteps++;
+            if (this.trainingSteps % this.targetUpdateInterval === 0) {
+                this.targetNetwork.copyFrom(this.network);
+            }
+        } catch (error) {
+            console.error('Error in learning update:', error);
+        }
+    }
+
+    /**
+     * Copy of the network weights, kept with leaderboard entries
+     */
+    getQTableCopy() {
+        return this.network.serialize();
+    }
+
+    /**
+     * Load network weights from getQTableCopy() (for loading best performers)
+     */
+    loadQTable(weights) {
+        if (!weights || weights instanceof Map || !Array.isArray(weights.layerSizes)) {
+            console.error('Invalid network weights provided');
+            return;
+        }
+        this.network = NeuralNetwork.deserialize(weights);
+        this.targetNetwork = NeuralNetwork.deserialize(weights);
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            network: this.network.serialize(),
+            targetNetwork: this.targetNetwork.serialize(),
+            trainingSteps: this.trainingSteps,
+            // Handing the agent to a worker and back shouldn't throw away its experience
+            optimizer: this.network.serializeOptimizer(),
+            replay: this.replay.serialize()
+        };
+    }
+
+    loadState(data) {
+        this.checkEncoding(data.encoding);
+        this.loadExplorationState(data);
+        if (data.network) {
+            this.loadQTable(data.network);
+            if (data.targetNetwork) this.targetNetwork = NeuralNetwork.deserialize(data.targetNetwork);
+            if (data.optimizer) this.network.loadOptimizer(data.optimizer);
+            this.trainingSteps = data.trainingSteps ?? 0;
+        }
+        if (data.replay) this.replay.load(data.replay);
+    }
+
+    // The network has no table, so count the experiences it learns from
+    getStatesExplored() {
+        return this.replay.size;
+    }
+
+    getTrainingStats() {
+        return {
+            statesExplored: this.getStatesExplored(),
+            explorationRate: this.explorationRate,
+            exploration: this.exploration.describe(this),
+            totalStateActionPairs: this.stateActionCounts.size,
+            avgQValue: this.getAverageQValue(),
+            loss: this.lastLoss
+        };
+    }
+
+    /**
+     * Average predicted Q-value over (up to 100 of) the states in the replay buffer
+     */
+    getAverageQValue() {
+        const transitions = this.replay.transitions.slice(0, 100);
+        if (transitions.length === 0) return 0;
+        let sum = 0;
+        for (const { state } of transitions) {
+            sum += this.getQValues(state).reduce((total, value) => total + value, 0) / 4;
+        }
+        return sum / transitions.length;
+    }
+
+    reset() {
+        super.reset();
+        this.replay.clear();
+        this.createNetworks();
+    }
+}
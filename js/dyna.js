@@ -0,0 +1,295 @@
+import { QLearningAgent } from './ai.js';
+
+/**
+ * Model-based planning agents for Micromouse AI
+ * Dyna-Q and Prioritized Sweeping learn a model of the maze from real steps (which move
+ * leads where, for what reward) and replay it for extra Q-learning updates between real
+ * steps, so every corridor the mouse has seen keeps being learned from.
+ */
+
+// Prioritized sweeping only queues updates that would change a Q-value by more than this
+const PRIORITY_THRESHOLD = 0.01;
+
+/**
+ * Learned model of a deterministic maze: the last observed outcome of every
+ * state-action pair, plus the pairs leading into each state
+ */
+export class MazeModel {
+    constructor() {
+        this.transitions = new Map(); // "state:action" → { state, action, reward, nextState, done }
+        this.keys = []; // Transition keys, for uniform sampling
+        this.predecessors = new Map(); // State → keys of the transitions leading into it
+    }
+
+    get size() {
+        return this.keys.length;
+    }
+
+    record(state, action, reward, nextState, done) {
+        const key = `${state}:${action}`;
+        const previous = this.transitions.get(key);
+        if (!previous) {
+            this.keys.push(key);
+        } else if (previous.nextState !== nextState) {
+            this.predecessors.get(previous.nextState)?.delete(key);
+        }
+
+        this.transitions.set(key, { state, action, reward, nextState, done });
+        if (!this.predecessors.has(nextState)) {
+            this.predecessors.set(nextState, new Set());
+        }
+        this.predecessors.get(nextState).add(key);
+    }
+
+    get(state, action) {
+        return this.transitions.get(`${state}:${action}`);
+    }
+
+    /**
+     * @param {object} random - PRNG with nextInt()
+     * @returns {object} A uniformly chosen recorded transition
+     */
+    sample(random) {
+        return this.transitions.get(this.keys[random.nextInt(this.keys.length)]);
+    }
+
+    /**
+     * @param {string} state - State representation
+     * @returns {object[]} Recorded transitions that lead into the state
+     */
+    getPredecessors(state) {
+        return Array.from(this.predecessors.get(state) ?? [], key => this.transitions.get(key));
+    }
+
+    clear() {
+        this.transitions.clear();
+        this.keys = [];
+        this.predecessors.clear();
+    }
+
+    serialize() {
+        return Array.from(this.transitions.values());
+    }
+
+    load(transitions) {
+        this.clear();
+        for (const { state, action, reward, nextState, done } of transitions) {
+            this.record(state, action, reward, nextState, done);
+        }
+    }
+}
+
+/**
+ * Max-priority queue of state-action updates. Raising the priority of a queued pair
+ * pushes a new entry; the outdated one is skipped when it comes out.
+ */
+class UpdateQueue {
+    constructor() {
+        this.heap = [];
+        this.priorities = new Map(); // Key → current priority of queued pairs
+    }
+
+    get size() {
+        return this.priorities.size;
+    }
+
+    push(key, priority, transition) {
+        if ((this.priorities.get(key) ?? -Infinity) >= priority) return;
+        this.priorities.set(key, priority);
+        this.heap.push({ key, priority, transition });
+
+        let index = this.heap.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.heap[parent].priority >= this.heap[index].priority) break;
+            [this.heap[parent], this.heap[index]] = [this.heap[index], this.heap[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        while (this.heap.length > 0) {
+            const top = this.heap[0];
+            const last = this.heap.pop();
+            if (this.heap.length > 0) {
+                this.heap[0] = last;
+                this.siftDown();
+            }
+            if (this.priorities.get(top.key) === top.priority) {
+                this.priorities.delete(top.key);
+                return top.transition;
+            }
+        }
+        return null;
+    }
+
+    siftDown() {
+        let index = 0;
+        for (;;) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let largest = index;
+            if (left < this.heap.length && this.heap[left].priority > this.heap[largest].priority) largest = left;
+            if (right < this.heap.length && this.heap[right].priority > this.heap[largest].priority) largest = right;
+            if (largest === index) return;
+            [this.heap[largest], this.heap[index]] = [this.heap[index], this.heap[largest]];
+            index = largest;
+        }
+    }
+
+    clear() {
+        this.heap = [];
+        this.priorities.clear();
+    }
+
+    /**
+     * Plain-object copy, outdated entries included, so the queue pops in the same order
+     * after load()
+     */
+    serialize() {
+        return { heap: this.heap.map(entry => ({ ...entry })), priorities: Array.from(this.priorities.entries()) };
+    }
+
+    load(data) {
+        this.heap = data.heap.map(entry => ({ ...entry }));
+        this.priorities = new Map(data.priorities);
+    }
+}
+
+/**
+ * Dyna-Q: one-step Q-learning on every real step, then planningSteps simulated
+ * updates on state-action pairs drawn at random from the learned model
+ */
+export class DynaQAgent extends QLearningAgent {
+    /**
+     * Takes the same arguments as QLearningAgent
+     * @param {object} options - QLearningAgent options, plus:
+     * @param {number} options.planningSteps - Simulated updates per real step
+     */
+    constructor(learningRate, discountFactor, explorationRate, explorationDecay, minExplorationRate, options = {}) {
+        super(learningRate, discountFactor, explorationRate, explorationDecay, minExplorationRate, options);
+        this.type = 'dynaQ';
+        this.planningSteps = Math.max(0, Math.round(options.planningSteps ?? 10));
+        this.model = new MazeModel();
+    }
+
+    /**
+     * @param {object} info - Transition info from the environment; timeouts aren't modelled as terminal
+     */
+    learn(state, action, reward, nextState, done = false, info = {}) {
+        super.learn(state, action, reward, nextState, done);
+        this.recordTransition(state, action, reward, nextState, done, info);
+
+        try {
+            this.plan(state);
+        } catch (error) {
+            console.error('Error in planning update:', error);
+        }
+    }
+
+    /**
+     * Simulated updates after a real step
+     * @param {string} state - State whose Q-value the real step just updated
+     */
+    plan(state) {
+        for (let i = 0; i < this.planningSteps; i++) {
+            this.applyModelUpdate(this.model.sample(this.random));
+        }
+    }
+
+    recordTransition(state, action, reward, nextState, done, info) {
+        // Running out of steps says nothing about the maze, so model the move itself
+        if (info.timedOut) {
+            this.model.record(state, action, reward - this.getTimeoutPenalty(), nextState, false);
+        } else {
+            this.model.record(state, action, reward, nextState, done);
+        }
+    }
+
+    /**
+     * TD error of a modelled transition under the current Q-values
+     */
+    getTdError(transition) {
+        const maxNextQ = transition.done ? 0 : Math.max(...this.getQValues(transition.nextState));
+        return transition.reward + this.discountFactor * maxNextQ - this.getQValues(transition.state)[transition.action];
+    }
+
+    /**
+     * Q-learning update from a modelled transition instead of a real step
+     */
+    applyModelUpdate(transition) {
+        this.getQValues(transition.state)[transition.action] += this.learningRate * this.getTdError(transition);
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            planningSteps: this.planningSteps,
+            model: this.model.serialize()
+        };
+    }
+
+    loadState(data) {
+        super.loadState(data);
+        if (data.model) this.model.load(data.model);
+    }
+
+    getTrainingStats() {
+        return { ...super.getTrainingStats(), modelTransitions: this.model.size };
+    }
+
+    reset() {
+        super.reset();
+        this.model.clear();
+    }
+}
+
+/**
+ * Prioritized Sweeping: instead of replaying random pairs, plans backwards from where
+ * values changed. After each real update the pairs leading into the updated state are
+ * queued by the size of their TD error, and the planningSteps largest are applied,
+ * queueing their own predecessors in turn. A newly found goal spreads back along the
+ * path within a few steps.
+ */
+export class PrioritizedSweepingAgent extends DynaQAgent {
+    /**
+     * Takes the same arguments as DynaQAgent
+     */
+    constructor(...args) {
+        super(...args);
+        this.type = 'prioritizedSweeping';
+        this.queue = new UpdateQueue();
+    }
+
+    plan(state) {
+        this.queuePredecessors(state);
+        for (let i = 0; i < this.planningSteps && this.queue.size > 0; i++) {
+            const transition = this.queue.pop();
+            this.applyModelUpdate(transition);
+            this.queuePredecessors(transition.state);
+        }
+    }
+
+    queuePredecessors(state) {
+        for (const transition of this.model.getPredecessors(state)) {
+            const priority = Math.abs(this.getTdError(transition));
+            if (priority > PRIORITY_THRESHOLD) {
+                this.queue.push(`${transition.state}:${transition.action}`, priority, transition);
+            }
+        }
+    }
+
+    serialize() {
+        return { ...super.serialize(), queue: this.queue.serialize() };
+    }
+
+    loadState(data) {
+        super.loadState(data);
+        if (data.queue) this.queue.load(data.queue);
+    }
+
+    reset() {
+        super.reset();
+        this.queue.clear();
+    }
+}
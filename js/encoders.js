@@ -0,0 +1,195 @@
+/**
+ * State encodings for Micromouse AI
+ * Decide what the agent gets to see of the mouse's situation. An encoding is a list of
+ * features; each one turns the mouse into
+ *   key(mouse)    - part of the state string the tabular agents index their Q-table with
+ *   values(mouse) - `size` numbers in roughly [-1, 1] for the DQN's input layer
+ * Fewer distinct states learn faster and carry over between mazes; richer ones can tell
+ * apart situations that would otherwise look the same.
+ */
+
+// Directions as used for actions and Mouse.direction: 0: right, 1: down, 2: left, 3: up
+const DX = [1, 0, -1, 0];
+const DY = [0, 1, 0, -1];
+
+// Goal offsets are bucketed by powers of two: 0, 1, 2-3, 4-7, ... up to this bucket
+const MAX_DISTANCE_BUCKET = 5;
+
+const sign = (value) => Math.sign(value) + 0; // + 0 turns -0 into 0
+
+const bits = (flags) => flags.map(flag => flag ? '1' : '0').join('');
+
+// Walls around the mouse starting at a direction and going clockwise
+const wallsFrom = (mouse, first) => [0, 1, 2, 3].map(turn => {
+    const direction = (first + turn) % 4;
+    return mouse.maze.isWall(mouse.x + DX[direction], mouse.y + DY[direction]);
+});
+
+// Whether the mouse has already been on each neighbouring square this episode
+const visitedAround = (mouse) =>
+    [0, 1, 2, 3].map(direction => mouse.hasVisited(mouse.x + DX[direction], mouse.y + DY[direction]));
+
+const getDistanceBucket = (distance) =>
+    Math.min(MAX_DISTANCE_BUCKET, Math.ceil(Math.log2(Math.abs(distance) + 1)));
+
+// Features that can make up an encoding, keyed by the id used in saved agents
+export const STATE_FEATURES = {
+    goalOffset: {
+        name: 'Offset to goal',
+        size: 2,
+        key: (mouse) => {
+            const offset = mouse.maze.getGoalOffset(mouse.x, mouse.y);
+            return `${offset.x},${offset.y}`;
+        },
+        values: (mouse) => {
+            const offset = mouse.maze.getGoalOffset(mouse.x, mouse.y);
+            return [offset.x / mouse.maze.width, offset.y / mouse.maze.height];
+        }
+    },
+    position: {
+        name: 'Absolute position',
+        size: 2,
+        key: (mouse) => `@${mouse.x},${mouse.y}`,
+        values: (mouse) => [mouse.x / mouse.maze.width, mouse.y / mouse.maze.height]
+    },
+    goalDirection: {
+        name: 'Quadrant towards goal',
+        size: 2,
+        // Compass direction of the goal, e.g. "SE", or "*" inside the goal
+        key: (mouse) => {
+            const offset = mouse.maze.getGoalOffset(mouse.x, mouse.y);
+            const direction = ['N', '', 'S'][sign(offset.y) + 1] + ['W', '', 'E'][sign(offset.x) + 1];
+            return direction || '*';
+        },
+        values: (mouse) => {
+            const offset = mouse.maze.getGoalOffset(mouse.x, mouse.y);
+            return [sign(offset.x), sign(offset.y)];
+        }
+    },
+    goalBuckets: {
+        name: 'Discretized offset to goal',
+        size: 2,
+        // Sign and order of magnitude of the offset on each axis, e.g. "~3,-1"
+        key: (mouse) => {
+            const offset = mouse.maze.getGoalOffset(mouse.x, mouse.y);
+            return `~${sign(offset.x) * getDistanceBucket(offset.x)},${sign(offset.y) * getDistanceBucket(offset.y)}`;
+        },
+        values: (mouse) => {
+            const offset = mouse.maze.getGoalOffset(mouse.x, mouse.y);
+            return [
+                sign(offset.x) * getDistanceBucket(offset.x) / MAX_DISTANCE_BUCKET,
+                sign(offset.y) * getDistanceBucket(offset.y) / MAX_DISTANCE_BUCKET
+            ];
+        }
+    },
+    walls: {
+        name: 'Walls (right, down, left, up)',
+        size: 4,
+        key: (mouse) => bits(wallsFrom(mouse, 0)),
+        values: (mouse) => wallsFrom(mouse, 0).map(Number)
+    },
+    heading: {
+        name: 'Heading',
+        size: 4,
+        key: (mouse) => `h${mouse.direction}`,
+        values: (mouse) => [0, 1, 2, 3].map(direction => direction === mouse.direction ? 1 : 0)
+    },
+    relativeWalls: {
+        name: 'Walls (front, right, back, left)',
+        size: 4,
+        // Relative to Mouse.direction, so a corridor looks the same whichever way it runs
+        key: (mouse) => `r${bits(wallsFrom(mouse, mouse.direction))}`,
+        values: (mouse) => wallsFrom(mouse, mouse.direction).map(Number)
+    },
+    lastAction: {
+        name: 'Last action',
+        size: 4,
+        key: (mouse) => `a${mouse.lastAction ?? '-'}`,
+        values: (mouse) => [0, 1, 2, 3].map(action => action === mouse.lastAction ? 1 : 0)
+    },
+    visitedNeighbours: {
+        name: 'Visited neighbours (right, down, left, up)',
+        size: 4,
+        key: (mouse) => `v${bits(visitedAround(mouse))}`,
+        values: (mouse) => visitedAround(mouse).map(Number)
+    }
+};
+
+// Ready-made encodings offered in the UI
+export const STATE_ENCODINGS = {
+    relative: { name: 'Goal offset + walls', features: ['goalOffset', 'walls'] },
+    absolute: { name: 'Absolute position', features: ['position'] },
+    quadrant: { name: 'Goal quadrant + walls', features: ['goalDirection', 'walls'] },
+    discretized: { name: 'Discretized goal offset + walls', features: ['goalBuckets', 'walls'] },
+    heading: { name: 'Heading-relative walls', features: ['heading', 'goalDirection', 'relativeWalls'] },
+    lastAction: { name: 'Goal quadrant + walls + last action', features: ['goalDirection', 'walls', 'lastAction'] },
+    visited: { name: 'Goal quadrant + walls + visited neighbours', features: ['goalDirection', 'walls', 'visitedNeighbours'] }
+};
+
+/**
+ * Turns a mouse into the state an agent sees
+ */
+export class StateEncoder {
+    /**
+     * @param {string[]} features - Feature ids from STATE_FEATURES, in order
+     * @param {string} id - Preset id from STATE_ENCODINGS, if the features are one
+     */
+    constructor(features, id = null) {
+        const unknown = features.find(feature => !STATE_FEATURES[feature]);
+        if (features.length === 0 || unknown) {
+            throw new Error(unknown ? `Unknown state feature "${unknown}"` : 'A state encoding needs at least one feature');
+        }
+        this.features = [...features];
+        this.id = id;
+        this.key = this.features.join('+'); // Identifies the encoding when checking saved models
+        this.size = this.features.reduce((total, feature) => total + STATE_FEATURES[feature].size, 0);
+    }
+
+    get name() {
+        return this.id ? STATE_ENCODINGS[this.id].name : this.features.map(feature => STATE_FEATURES[feature].name).join(' + ');
+    }
+
+    /**
+     * @returns {string} State string for tabular agents, feature keys joined by commas
+     */
+    encode(mouse) {
+        return this.features.map(feature => STATE_FEATURES[feature].key(mouse)).join(',');
+    }
+
+    /**
+     * @returns {number[]} Feature vector of length `size` for function approximators
+     */
+    getValues(mouse) {
+        return this.features.flatMap(feature => STATE_FEATURES[feature].values(mouse));
+    }
+
+    /**
+     * Whether states from an encoding saved with serialize() mean the same as ours
+     */
+    matches(settings) {
+        return createStateEncoder(settings).key === this.key;
+    }
+
+    /**
+     * @returns {string|string[]} The preset id, or the feature list for custom encodings
+     */
+    serialize() {
+        return this.id ?? [...this.features];
+    }
+}
+
+/**
+ * Build an encoder from a preset id or a list of feature ids (serialize() output)
+ * @param {string|string[]} settings - Preset id from STATE_ENCODINGS, or feature ids
+ * @returns {StateEncoder} The encoder
+ */
+export const createStateEncoder = (settings = 'relative') => {
+    if (Array.isArray(settings)) {
+        return new StateEncoder(settings);
+    }
+    const preset = STATE_ENCODINGS[settings];
+    if (!preset) {
+        throw new Error(`Unknown state encoding "${settings}"`);
+    }
+    return new StateEncoder(preset.features, settings);
+};
@@ -0,0 +1,268 @@
+/**
+ * Exploration strategies for Micromouse AI
+ * Decide how an agent trades off trying new actions against using what it has learned.
+ * Every strategy is given the agent (for its Q-values, visit counts and PRNG) and implements:
+ *   selectAction(agent, state)            - action to take
+ *   getProbabilities(agent, qValues)      - the policy's action probabilities (for Expected SARSA)
+ *   getRewardBonus(agent, state, action)  - intrinsic reward added while learning
+ *   decay()                               - per-episode schedule step
+ *   describe(agent)                       - short live summary for the stats panel
+ */
+
+/**
+ * Defaults shared by all strategies: greedy action choice with random tie-breaking,
+ * zero-initialised Q-values and no schedule
+ */
+class ExplorationStrategy {
+    constructor(type) {
+        this.type = type;
+        this.initialQValue = 0; // Value new states start with
+    }
+
+    /**
+     * Best action by score, breaking ties at random
+     * @param {number[]} scores - Score per action
+     * @param {object} random - PRNG with nextInt()
+     */
+    selectBest(scores, random) {
+        const maxScore = Math.max(...scores);
+        const bestActions = scores
+            .map((score, index) => score === maxScore ? index : null)
+            .filter(index => index !== null);
+        return bestActions[random.nextInt(bestActions.length)];
+    }
+
+    selectAction(agent, state) {
+        return this.selectBest(agent.getQValues(state), agent.random);
+    }
+
+    getProbabilities(agent, qValues) {
+        const maxQ = Math.max(...qValues);
+        const bestCount = qValues.filter(value => value === maxQ).length;
+        return qValues.map(value => value === maxQ ? 1 / bestCount : 0);
+    }
+
+    getRewardBonus() {
+        return 0;
+    }
+
+    decay() {}
+
+    reset() {}
+
+    /**
+     * Settings and schedule state, enough to rebuild the strategy with createExplorationStrategy
+     */
+    serialize() {
+        return { type: this.type };
+    }
+}
+
+/**
+ * Random action with probability epsilon, otherwise the best known one. Epsilon and its
+ * decay are the agent's explorationRate/explorationDecay/minExplorationRate.
+ */
+export class EpsilonGreedyStrategy extends ExplorationStrategy {
+    constructor() {
+        super('epsilonGreedy');
+    }
+
+    selectAction(agent, state) {
+        // Exploration: take random action
+        if (agent.random.next() < agent.explorationRate) {
+            return agent.random.nextInt(4);
+        }
+        // Handle ties by random selection among best actions
+        return this.selectBest(agent.getQValues(state), agent.random);
+    }
+
+    getProbabilities(agent, qValues) {
+        // The greedy share is split between tied best actions
+        return super.getProbabilities(agent, qValues).map(probability =>
+            agent.explorationRate / qValues.length + (1 - agent.explorationRate) * probability
+        );
+    }
+
+    describe(agent) {
+        return `ε-greedy · ε ${agent.explorationRate.toFixed(3)} (×${agent.explorationDecay}/ep, min ${agent.minExplorationRate})`;
+    }
+}
+
+/**
+ * Boltzmann (softmax) exploration: picks actions with probability proportional to
+ * exp(Q/T). A high temperature T is close to random, a low one close to greedy;
+ * T cools down every episode.
+ */
+export class BoltzmannStrategy extends ExplorationStrategy {
+    /**
+     * @param {object} params - Optional settings
+     * @param {number} params.initialTemperature - Temperature of the first episode
+     * @param {number} params.temperatureDecay - Multiplier applied after every episode
+     * @param {number} params.minTemperature - Lowest temperature
+     * @param {number} params.temperature - Current temperature, when resuming a schedule
+     */
+    constructor(params = {}) {
+        super('boltzmann');
+        this.initialTemperature = params.initialTemperature ?? 5;
+        this.temperatureDecay = params.temperatureDecay ?? 0.99;
+        this.minTemperature = params.minTemperature ?? 0.1;
+        this.temperature = params.temperature ?? this.initialTemperature;
+    }
+
+    selectAction(agent, state) {
+        const probabilities = this.getProbabilities(agent, agent.getQValues(state));
+        let remaining = agent.random.next();
+        for (let action = 0; action < probabilities.length - 1; action++) {
+            remaining -= probabilities[action];
+            if (remaining < 0) return action;
+        }
+        return probabilities.length - 1;
+    }
+
+    getProbabilities(agent, qValues) {
+        // Subtracting the max keeps exp() from overflowing at low temperatures
+        const maxQ = Math.max(...qValues);
+        const weights = qValues.map(value => Math.exp((value - maxQ) / this.temperature));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        return weights.map(weight => weight / total);
+    }
+
+    decay() {
+        this.temperature = Math.max(this.minTemperature, this.temperature * this.temperatureDecay);
+    }
+
+    reset() {
+        this.temperature = this.initialTemperature;
+    }
+
+    serialize() {
+        return {
+            type: this.type,
+            initialTemperature: this.initialTemperature,
+            temperatureDecay: this.temperatureDecay,
+            minTemperature: this.minTemperature,
+            temperature: this.temperature
+        };
+    }
+
+    describe() {
+        return `Boltzmann · T ${this.temperature.toFixed(2)} (×${this.temperatureDecay}/ep, min ${this.minTemperature})`;
+    }
+}
+
+/**
+ * UCB1: acts greedily on Q(s,a) + c*sqrt(ln N(s) / N(s,a)), where N are the agent's
+ * stateActionCounts. Rarely tried actions get a bonus that shrinks as they are tried,
+ * and every action is tried once before any is repeated.
+ */
+export class UcbStrategy extends ExplorationStrategy {
+    /**
+     * @param {object} params - Optional settings
+     * @param {number} params.explorationConstant - Weight c of the confidence bonus
+     */
+    constructor(params = {}) {
+        super('ucb');
+        this.explorationConstant = params.explorationConstant ?? 2;
+    }
+
+    selectAction(agent, state) {
+        const qValues = agent.getQValues(state);
+        const counts = qValues.map((_, action) => agent.stateActionCounts.get(`${state}:${action}`) || 0);
+
+        const untried = counts.map((count, action) => count === 0 ? action : null).filter(action => action !== null);
+        if (untried.length > 0) {
+            return untried[agent.random.nextInt(untried.length)];
+        }
+
+        const stateVisits = counts.reduce((sum, count) => sum + count, 0);
+        const scores = qValues.map((value, action) =>
+            value + this.explorationConstant * Math.sqrt(Math.log(stateVisits) / counts[action])
+        );
+        return this.selectBest(scores, agent.random);
+    }
+
+    serialize() {
+        return { type: this.type, explorationConstant: this.explorationConstant };
+    }
+
+    describe() {
+        return `UCB1 · c ${this.explorationConstant}`;
+    }
+}
+
+/**
+ * Optimistic initial values: new states start with Q-values above anything the maze
+ * pays out, so a purely greedy agent keeps trying actions until their value drops.
+ * Applies to tabular agents (the DQN has no initial table).
+ */
+export class OptimisticStrategy extends ExplorationStrategy {
+    /**
+     * @param {object} params - Optional settings
+     * @param {number} params.initialQValue - Starting Q-value of every state-action pair
+     */
+    constructor(params = {}) {
+        super('optimistic');
+        this.initialQValue = params.initialQValue ?? 20;
+    }
+
+    serialize() {
+        return { type: this.type, initialQValue: this.initialQValue };
+    }
+
+    describe() {
+        return `Optimistic · Q₀ ${this.initialQValue}, greedy`;
+    }
+}
+
+/**
+ * Count-based novelty: acts greedily, but learns from the reward plus an intrinsic
+ * bonus of β/sqrt(n + 1) for a state-action pair tried n times before, which makes
+ * unexplored parts of the maze look valuable until they have been visited. β is kept
+ * well below the wall-bump penalty, or bumping into new walls would pay off.
+ */
+export class NoveltyBonusStrategy extends ExplorationStrategy {
+    /**
+     * @param {object} params - Optional settings
+     * @param {number} params.bonusScale - Bonus β for a never-tried pair
+     */
+    constructor(params = {}) {
+        super('novelty');
+        this.bonusScale = params.bonusScale ?? 0.3;
+    }
+
+    getRewardBonus(agent, state, action) {
+        const count = agent.stateActionCounts.get(`${state}:${action}`) || 0;
+        return this.bonusScale / Math.sqrt(count + 1);
+    }
+
+    serialize() {
+        return { type: this.type, bonusScale: this.bonusScale };
+    }
+
+    describe() {
+        return `Novelty · bonus ${this.bonusScale}/√(n+1), greedy`;
+    }
+}
+
+// Registry of available strategies, keyed by the id used in the UI dropdown and in saved agents
+export const EXPLORATION_STRATEGIES = {
+    epsilonGreedy: { name: 'ε-greedy', create: () => new EpsilonGreedyStrategy() },
+    boltzmann: { name: 'Boltzmann (softmax)', create: (params) => new BoltzmannStrategy(params) },
+    ucb: { name: 'UCB1', create: (params) => new UcbStrategy(params) },
+    optimistic: { name: 'Optimistic initial values', create: (params) => new OptimisticStrategy(params) },
+    novelty: { name: 'Count-based novelty bonus', create: (params) => new NoveltyBonusStrategy(params) }
+};
+
+/**
+ * Build a strategy from its id or from serialize() output
+ * @param {string|object} settings - Strategy id, or { type, ...params }
+ * @returns {ExplorationStrategy} The strategy
+ */
+export const createExplorationStrategy = (settings = 'epsilonGreedy') => {
+    const { type, ...params } = typeof settings === 'string' ? { type: settings } : settings;
+    const entry = EXPLORATION_STRATEGIES[type];
+    if (!entry) {
+        throw new Error(`Unknown exploration strategy "${type}"`);
+    }
+    return entry.create(params);
+};
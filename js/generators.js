@@ -0,0 +1,368 @@
+/**
+ * Maze generation algorithms for Micromouse AI
+ * Every generator carves passages into a Maze whose grid starts out as solid walls.
+ * Cells live on odd coordinates and the even coordinates between them are the walls,
+ * so connecting two neighbouring cells means clearing the grid square between them.
+ */
+
+// Offsets to neighbouring cells (up, right, down, left), two grid squares away
+const CELL_DIRECTIONS = [
+    [0, -2], [2, 0], [0, 2], [-2, 0]
+];
+
+/**
+ * Shuffle an array in place using the maze's PRNG so generation stays reproducible
+ * @param {Array} items - Items to shuffle
+ * @param {SeededRandom} random - Random source
+ * @returns {Array} The same array, shuffled
+ */
+const shuffle = (items, random) => {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = random.nextInt(i + 1);
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+};
+
+// Checks whether (x, y) is a cell position inside the outer border
+const isCell = (maze, x, y) => {
+    return x > 0 && x < maze.width - 1 && y > 0 && y < maze.height - 1 && x % 2 === 1 && y % 2 === 1;
+};
+
+// Lists neighbouring cell positions of (x, y)
+const neighbours = (maze, x, y) => {
+    return CELL_DIRECTIONS
+        .map(([dx, dy]) => ({ x: x + dx, y: y + dy }))
+        .filter(cell => isCell(maze, cell.x, cell.y));
+};
+
+// Opens both cells and the wall square between them
+const connect = (maze, a, b) => {
+    maze.grid[a.y][a.x] = 0;
+    maze.grid[(a.y + b.y) / 2][(a.x + b.x) / 2] = 0;
+    maze.grid[b.y][b.x] = 0;
+};
+
+const cellKey = (cell) => `${cell.x},${cell.y}`;
+
+// Lists every cell position of the maze in row order
+const allCells = (maze) => {
+    const cells = [];
+    for (let y = 1; y < maze.height - 1; y += 2) {
+        for (let x = 1; x < maze.width - 1; x += 2) {
+            cells.push({ x, y });
+        }
+    }
+    return cells;
+};
+
+/**
+ * Randomized Prim's algorithm: grows the maze outward from the start cell by
+ * repeatedly attaching a random frontier cell. Produces many short dead ends.
+ */
+const generatePrims = (maze) => {
+    const inMaze = new Set();
+    const inFrontier = new Set();
+    const frontier = [];
+
+    const addCell = (cell) => {
+        inMaze.add(cellKey(cell));
+        maze.grid[cell.y][cell.x] = 0;
+        for (const next of neighbours(maze, cell.x, cell.y)) {
+            const key = cellKey(next);
+            if (!inMaze.has(key) && !inFrontier.has(key)) {
+                inFrontier.add(key);
+                frontier.push(next);
+            }
+        }
+    };
+
+    addCell(maze.start);
+
+    while (frontier.length > 0) {
+        // Swap-remove a random frontier cell so large mazes stay fast
+        const index = maze.random.nextInt(frontier.length);
+        const cell = frontier[index];
+        frontier[index] = frontier[frontier.length - 1];
+        frontier.pop();
+
+        const connected = neighbours(maze, cell.x, cell.y).filter(next => inMaze.has(cellKey(next)));
+        connect(maze, cell, connected[maze.random.nextInt(connected.length)]);
+        addCell(cell);
+    }
+};
+
+/**
+ * Randomized Kruskal's algorithm: removes walls in random order whenever they
+ * separate two regions that aren't connected yet (tracked with union-find).
+ */
+const generateKruskal = (maze) => {
+    const cells = allCells(maze);
+    const parent = new Map(cells.map(cell => [cellKey(cell), cellKey(cell)]));
+
+    const find = (key) => {
+        while (parent.get(key) !== key) {
+            parent.set(key, parent.get(parent.get(key))); // Path halving
+            key = parent.get(key);
+        }
+        return key;
+    };
+
+    // Only right and down edges, so every wall is listed once
+    const edges = [];
+    for (const cell of cells) {
+        for (const [dx, dy] of [[2, 0], [0, 2]]) {
+            const next = { x: cell.x + dx, y: cell.y + dy };
+            if (isCell(maze, next.x, next.y)) {
+                edges.push([cell, next]);
+            }
+        }
+    }
+    shuffle(edges, maze.random);
+
+    for (const [a, b] of edges) {
+        const rootA = find(cellKey(a));
+        const rootB = find(cellKey(b));
+        if (rootA !== rootB) {
+            parent.set(rootA, rootB);
+            connect(maze, a, b);
+        }
+    }
+};
+
+/**
+ * Eller's algorithm: builds the maze one row at a time, only remembering which
+ * set each cell of the current row belongs to.
+ */
+const generateEller = (maze) => {
+    const columns = [];
+    for (let x = 1; x < maze.width - 1; x += 2) {
+        columns.push(x);
+    }
+
+    let rowSets = new Array(columns.length).fill(null);
+    let nextSetId = 0;
+
+    for (let y = 1; y < maze.height - 1; y += 2) {
+        const isLastRow = y + 2 >= maze.height - 1;
+
+        // Give every cell that wasn't reached from above its own set
+        rowSets = rowSets.map(set => set === null ? nextSetId++ : set);
+        columns.forEach(x => { maze.grid[y][x] = 0; });
+
+        // Randomly join horizontal neighbours from different sets (always on the last row)
+        for (let i = 0; i < columns.length - 1; i++) {
+            if (rowSets[i] !== rowSets[i + 1] && (isLastRow || maze.random.next() < 0.5)) {
+                const merged = rowSets[i + 1];
+                rowSets = rowSets.map(set => set === merged ? rowSets[i] : set);
+                connect(maze, { x: columns[i], y }, { x: columns[i + 1], y });
+            }
+        }
+
+        if (isLastRow) break;
+
+        // Every set needs at least one passage down to the next row
+        const nextRowSets = new Array(columns.length).fill(null);
+        const bySet = new Map();
+        rowSets.forEach((set, i) => {
+            if (!bySet.has(set)) bySet.set(set, []);
+            bySet.get(set).push(i);
+        });
+
+        for (const [set, indices] of bySet) {
+            shuffle(indices, maze.random);
+            const drops = 1 + maze.random.nextInt(indices.length);
+            for (const i of indices.slice(0, drops)) {
+                connect(maze, { x: columns[i], y }, { x: columns[i], y: y + 2 });
+                nextRowSets[i] = set;
+            }
+        }
+
+        rowSets = nextRowSets;
+    }
+};
+
+/**
+ * Wilson's algorithm: loop-erased random walks from unvisited cells until they
+ * hit the maze. Produces an unbiased sample of all possible perfect mazes.
+ */
+const generateWilson = (maze) => {
+    const cells = allCells(maze);
+    const inMaze = new Set([cellKey(maze.start)]);
+    maze.grid[maze.start.y][maze.start.x] = 0;
+
+    for (const origin of shuffle(cells, maze.random)) {
+        if (inMaze.has(cellKey(origin))) continue;
+
+        // Walk randomly, remembering only the last exit taken from each cell;
+        // overwriting that exit erases any loop the walk made
+        const exits = new Map();
+        let current = origin;
+        while (!inMaze.has(cellKey(current))) {
+            const options = neighbours(maze, current.x, current.y);
+            const next = options[maze.random.nextInt(options.length)];
+            exits.set(cellKey(current), next);
+            current = next;
+        }
+
+        // Carve the loop-erased path into the maze
+        current = origin;
+        while (!inMaze.has(cellKey(current))) {
+            const next = exits.get(cellKey(current));
+            connect(maze, current, next);
+            inMaze.add(cellKey(current));
+            current = next;
+        }
+    }
+};
+
+/**
+ * Binary tree algorithm: every cell links either up or left. Very fast, but the
+ * result has a strong diagonal bias and two long open corridors along the top and left.
+ */
+const generateBinaryTree = (maze) => {
+    for (const cell of allCells(maze)) {
+        maze.grid[cell.y][cell.x] = 0;
+        const options = [{ x: cell.x, y: cell.y - 2 }, { x: cell.x - 2, y: cell.y }]
+            .filter(next => isCell(maze, next.x, next.y));
+        if (options.length > 0) {
+            connect(maze, cell, options[maze.random.nextInt(options.length)]);
+        }
+    }
+};
+
+/**
+ * Removes a percentage of dead ends by knocking out one of their walls, turning a
+ * perfect maze into a "braided" one with loops and multiple routes to the goal.
+ * @param {Maze} maze - Maze to modify
+ * @param {number} amount - Fraction of dead ends to remove (0-1)
+ */
+export const braid = (maze, amount) => {
+    if (amount <= 0) return;
+
+    const isOpen = (x, y) => maze.grid[y][x] === 0;
+    const openWalls = (cell) => CELL_DIRECTIONS
+        .filter(([dx, dy]) => isOpen(cell.x + dx / 2, cell.y + dy / 2)).length;
+
+    const deadEnds = shuffle(allCells(maze).filter(cell => isOpen(cell.x, cell.y) && openWalls(cell) === 1), maze.random);
+    const count = Math.round(deadEnds.length * Math.min(1, amount));
+
+    for (const cell of deadEnds.slice(0, count)) {
+        // An earlier removal may already have opened this dead end
+        if (openWalls(cell) !== 1) continue;
+
+        const closed = neighbours(maze, cell.x, cell.y)
+            .filter(next => !isOpen((cell.x + next.x) / 2, (cell.y + next.y) / 2));
+
+        // Prefer joining two dead ends so one removal fixes both
+        const deadEndNeighbours = closed.filter(next => openWalls(next) === 1);
+        const candidates = deadEndNeighbours.length > 0 ? deadEndNeighbours : closed;
+        if (candidates.length > 0) {
+            connect(maze, cell, candidates[maze.random.nextInt(candidates.length)]);
+        }
+    }
+};
+
+/**
+ * Opens walls between reachable and unreachable cells until every cell can be
+ * reached from the start. Walls listed in `locked` are never opened.
+ * @param {Maze} maze - Maze to repair
+ * @param {Set<string>} locked - Keys of wall squares that must stay closed
+ */
+export const connectRegions = (maze, locked = new Set()) => {
+    const reached = new Set();
+    const flood = (origin) => {
+        const queue = [origin];
+        reached.add(cellKey(origin));
+        while (queue.length > 0) {
+            const { x, y } = queue.shift();
+            for (const [dx, dy] of CELL_DIRECTIONS) {
+                const wall = { x: x + dx / 2, y: y + dy / 2 };
+                const next = { x: x + dx, y: y + dy };
+                if (isCell(maze, next.x, next.y) && maze.grid[wall.y][wall.x] === 0 &&
+                    maze.grid[next.y][next.x] === 0 && !reached.has(cellKey(next))) {
+                    reached.add(cellKey(next));
+                    queue.push(next);
+                }
+            }
+        }
+    };
+
+    flood(maze.start);
+
+    for (;;) {
+        const candidates = [];
+        for (const key of reached) {
+            const [x, y] = key.split(',').map(Number);
+            for (const next of neighbours(maze, x, y)) {
+                const wall = { x: (x + next.x) / 2, y: (y + next.y) / 2 };
+                if (!reached.has(cellKey(next)) && !locked.has(cellKey(wall))) {
+                    candidates.push({ cell: { x, y }, next });
+                }
+            }
+        }
+        if (candidates.length === 0) return;
+
+        const { cell, next } = candidates[maze.random.nextInt(candidates.length)];
+        connect(maze, cell, next);
+        flood(next);
+    }
+};
+
+/**
+ * Turns a generated maze into a micromouse competition field: the center goal
+ * cells become one open room with a single entrance, and the start cell in the
+ * bottom-left corner is walled in on the east so the only way out is north.
+ * @param {Maze} maze - Maze in competition mode (goal and start already placed)
+ */
+export const applyCompetitionLayout = (maze) => {
+    const { goal, start } = maze;
+    const locked = new Set();
+
+    // Open the whole goal room, including the posts between its cells
+    for (let y = goal.y; y < goal.y + goal.height; y++) {
+        for (let x = goal.x; x < goal.x + goal.width; x++) {
+            maze.grid[y][x] = 0;
+        }
+    }
+
+    // Close the goal perimeter, then reopen a single random entrance
+    const perimeter = [];
+    for (let x = goal.x; x < goal.x + goal.width; x += 2) {
+        perimeter.push({ x, y: goal.y - 1 }, { x, y: goal.y + goal.height });
+    }
+    for (let y = goal.y; y < goal.y + goal.height; y += 2) {
+        perimeter.push({ x: goal.x - 1, y }, { x: goal.x + goal.width, y });
+    }
+    perimeter.forEach(wall => {
+        maze.grid[wall.y][wall.x] = 1;
+        locked.add(cellKey(wall));
+    });
+    const entrance = perimeter[maze.random.nextInt(perimeter.length)];
+    maze.grid[entrance.y][entrance.x] = 0;
+
+    // Start cell: wall to the east, open to the north
+    if (start.x + 1 < maze.width - 1) {
+        maze.grid[start.y][start.x + 1] = 1;
+        locked.add(cellKey({ x: start.x + 1, y: start.y }));
+    }
+    if (start.y - 1 > 0) {
+        maze.grid[start.y - 1][start.x] = 0;
+    }
+
+    // Closing walls may have cut parts of the maze off; reconnect them elsewhere
+    connectRegions(maze, locked);
+};
+
+// Registry of available algorithms, keyed by the id used in the UI dropdown
+export const MAZE_ALGORITHMS = {
+    backtracker: {
+        name: 'Recursive Backtracker',
+        generate: (maze) => maze.carvePath(maze.start.x, maze.start.y)
+    },
+    prims: { name: "Prim's", generate: generatePrims },
+    kruskal: { name: "Kruskal's", generate: generateKruskal },
+    eller: { name: "Eller's", generate: generateEller },
+    wilson: { name: "Wilson's", generate: generateWilson },
+    binaryTree: { name: 'Binary Tree', generate: generateBinaryTree }
+};
@@ -0,0 +1,174 @@
+/**
+ * Animated GIF encoder for Micromouse AI
+ * Just enough GIF89a to save replays from the browser without a library: one fixed
+ * 252-color palette (6 red × 7 green × 6 blue levels), LZW compression and an endlessly
+ * looping animation. Good for the flat colors of the maze; gradients band a little.
+ */
+
+const RED_LEVELS = 6;
+const GREEN_LEVELS = 7;
+const BLUE_LEVELS = 6;
+const MIN_CODE_SIZE = 8; // Pixels are palette indices of 8 bits
+const MAX_CODE = 4096; // LZW codes are at most 12 bits
+const MAX_SUB_BLOCK = 255;
+
+// RGB triples of the global color table: 256 entries, of which the last 4 stay black
+const createPalette = () => {
+    const palette = new Uint8Array(256 * 3);
+    let offset = 0;
+    for (let r = 0; r < RED_LEVELS; r++) {
+        for (let g = 0; g < GREEN_LEVELS; g++) {
+            for (let b = 0; b < BLUE_LEVELS; b++) {
+                palette[offset++] = Math.round(r * 255 / (RED_LEVELS - 1));
+                palette[offset++] = Math.round(g * 255 / (GREEN_LEVELS - 1));
+                palette[offset++] = Math.round(b * 255 / (BLUE_LEVELS - 1));
+            }
+        }
+    }
+    return palette;
+};
+
+/**
+ * Map RGBA pixels (canvas ImageData.data) to the nearest palette entry
+ * @param {Uint8ClampedArray} rgba - 4 bytes per pixel; alpha is ignored
+ * @returns {Uint8Array} Palette index per pixel
+ */
+export const quantize = (rgba) => {
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let i = 0; i < indices.length; i++) {
+        const r = Math.round(rgba[i * 4] * (RED_LEVELS - 1) / 255);
+        const g = Math.round(rgba[i * 4 + 1] * (GREEN_LEVELS - 1) / 255);
+        const b = Math.round(rgba[i * 4 + 2] * (BLUE_LEVELS - 1) / 255);
+        indices[i] = (r * GREEN_LEVELS + g) * BLUE_LEVELS + b;
+    }
+    return indices;
+};
+
+/**
+ * Compress palette indices with GIF's variable-width LZW
+ * @param {Uint8Array} indices - One palette index per pixel
+ * @returns {Uint8Array} Code stream, not yet split into sub-blocks
+ */
+export const lzwEncode = (indices) => {
+    const clearCode = 1 << MIN_CODE_SIZE;
+    const endCode = clearCode + 1;
+    const output = new Uint8Array(indices.length * 2 + 16); // Codes never take more than 12 bits per pixel
+    let length = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = MIN_CODE_SIZE + 1;
+
+    const writeCode = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            output[length++] = bitBuffer & 0xff;
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    // Strings are keyed by (code of their prefix << 8 | last index)
+    let table = new Map();
+    let nextCode = endCode + 1;
+    writeCode(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        writeCode(prefix);
+        if (nextCode === MAX_CODE) {
+            // Table full: start over, as the decoder will on the clear code
+            writeCode(clearCode);
+            table = new Map();
+            nextCode = endCode + 1;
+            codeSize = MIN_CODE_SIZE + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    writeCode(prefix);
+    writeCode(endCode);
+    if (bitCount > 0) output[length++] = bitBuffer & 0xff;
+    return output.subarray(0, length);
+};
+
+/**
+ * Builds a looping animated GIF frame by frame
+ */
+export class GifEncoder {
+    /**
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.chunks = [];
+
+        const header = [
+            ...'GIF89a'.split('').map(char => char.charCodeAt(0)),
+            ...uint16(width), ...uint16(height),
+            0xf7, // Global color table of 256 entries (2^(7+1)), 8 bits per primary
+            0, // Background color index
+            0 // No pixel aspect ratio
+        ];
+        // Netscape extension: loop forever
+        const loop = [
+            0x21, 0xff, 11, ...'NETSCAPE2.0'.split('').map(char => char.charCodeAt(0)),
+            3, 1, ...uint16(0), 0
+        ];
+        this.chunks.push(new Uint8Array(header), createPalette(), new Uint8Array(loop));
+    }
+
+    /**
+     * Append a frame
+     * @param {Uint8ClampedArray} rgba - Pixels of the frame (canvas ImageData.data)
+     * @param {number} delay - How long the frame shows, in milliseconds (GIF rounds to 1/100 s)
+     */
+    addFrame(rgba, delay) {
+        const centiseconds = Math.max(2, Math.round(delay / 10)); // Browsers slow down shorter delays
+        const control = [0x21, 0xf9, 4, 0x04, ...uint16(centiseconds), 0, 0]; // Keep the frame, no transparency
+        const descriptor = [0x2c, ...uint16(0), ...uint16(0), ...uint16(this.width), ...uint16(this.height), 0];
+        this.chunks.push(new Uint8Array([...control, ...descriptor, MIN_CODE_SIZE]));
+
+        // Image data goes out in sub-blocks of up to 255 bytes, each with its length in front
+        const data = lzwEncode(quantize(rgba));
+        const blocks = new Uint8Array(data.length + Math.ceil(data.length / MAX_SUB_BLOCK) + 1);
+        let offset = 0;
+        for (let start = 0; start < data.length; start += MAX_SUB_BLOCK) {
+            const block = data.subarray(start, start + MAX_SUB_BLOCK);
+            blocks[offset++] = block.length;
+            blocks.set(block, offset);
+            offset += block.length;
+        }
+        blocks[offset] = 0; // Block terminator
+        this.chunks.push(blocks);
+    }
+
+    /**
+     * @returns {Uint8Array} The complete GIF file
+     */
+    finish() {
+        const chunks = [...this.chunks, new Uint8Array([0x3b])];
+        const file = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            file.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return file;
+    }
+}
+
+// Little-endian 16-bit value as two bytes
+const uint16 = (value) => [value & 0xff, (value >> 8) & 0xff];
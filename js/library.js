@@ -0,0 +1,163 @@
+import { validateModel } from './modelfile.js';
+
+/**
+ * Model library for Micromouse AI
+ * Named models (see modelfile.js) kept in IndexedDB, which has room for the large Q-tables
+ * and networks that run into localStorage's quota. Every model has a small entry with its
+ * name, date and summary in one object store and the full document in another, so listing
+ * the library doesn't read every Q-table.
+ */
+
+const DATABASE_VERSION = 1;
+const ENTRIES = 'entries';
+const MODELS = 'models';
+
+/**
+ * What the library list shows about a model
+ * @param {object} model - Model from createModel
+ * @returns {object} Agent type, maze size and seed, generation, best steps and size of the JSON in characters
+ */
+export const summarizeModel = (model) => ({
+    agentType: model.agent.type,
+    maze: model.maze ? { width: model.maze.width, height: model.maze.height, seed: model.maze.seed ?? null } : null,
+    generation: model.training.generation ?? 0,
+    bestSteps: model.training.bestSteps ?? null,
+    size: JSON.stringify(model).length
+});
+
+/**
+ * Saved models in an IndexedDB database
+ */
+export class ModelLibrary {
+    /**
+     * @param {string} name - Database name
+     * @param {IDBFactory} factory - IndexedDB implementation, the browser's by default
+     */
+    constructor(name = 'micromouse-models', factory = globalThis.indexedDB) {
+        this.name = name;
+        this.factory = factory;
+        this.database = null; // Promise of the open database
+    }
+
+    /**
+     * @returns {Promise<IDBDatabase>} The database, created on first use
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                if (!this.factory) {
+                    reject(new Error('This browser has no IndexedDB'));
+                    return;
+                }
+                const request = this.factory.open(this.name, DATABASE_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(ENTRIES, { keyPath: 'id', autoIncrement: true });
+                    request.result.createObjectStore(MODELS);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Try again next time instead of keeping the failure
+            this.database.catch(() => {
+                this.database = null;
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * @returns {Promise<object[]>} Entries ({ id, name, savedAt, ...summarizeModel }), newest first
+     */
+    async list() {
+        const database = await this.open();
+        const entries = await promisify(database.transaction(ENTRIES).objectStore(ENTRIES).getAll());
+        return entries.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    /**
+     * Add a model under a name (names needn't be unique)
+     * @returns {Promise<number>} Id of the new entry
+     */
+    save(name, model) {
+        return this.update(async (entries, models) => {
+            const id = await promisify(entries.add({ name, savedAt: new Date().toISOString(), ...summarizeModel(model) }));
+            models.put(model, id);
+            return id;
+        });
+    }
+
+    /**
+     * @param {number} id - Entry id
+     * @returns {Promise<object>} The validated model
+     */
+    async load(id) {
+        const database = await this.open();
+        const model = await promisify(database.transaction(MODELS).objectStore(MODELS).get(id));
+        if (!model) {
+            throw new Error('Model not found in the library');
+        }
+        return validateModel(model);
+    }
+
+    rename(id, name) {
+        return this.update(async (entries) => {
+            const entry = await getEntry(entries, id);
+            entries.put({ ...entry, name });
+        });
+    }
+
+    /**
+     * Save a copy of a model as a new entry named after it
+     * @returns {Promise<number>} Id of the copy
+     */
+    duplicate(id) {
+        return this.update(async (entries, models) => {
+            const entry = await getEntry(entries, id);
+            const model = await promisify(models.get(id));
+            const copy = { ...entry, name: `${entry.name} (copy)`, savedAt: new Date().toISOString() };
+            delete copy.id; // The store assigns a new one
+            const copyId = await promisify(entries.add(copy));
+            models.put(model, copyId);
+            return copyId;
+        });
+    }
+
+    delete(id) {
+        return this.update(async (entries, models) => {
+            entries.delete(id);
+            models.delete(id);
+        });
+    }
+
+    /**
+     * Run changes to both stores in one transaction
+     * @param {function} run - Async callback receiving the entry and model stores
+     * @returns {Promise<*>} The callback's result, once the transaction has committed
+     */
+    async update(run) {
+        const database = await this.open();
+        const transaction = database.transaction([ENTRIES, MODELS], 'readwrite');
+        const [result] = await Promise.all([
+            run(transaction.objectStore(ENTRIES), transaction.objectStore(MODELS)),
+            new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error ?? new Error('Library change was aborted'));
+            })
+        ]);
+        return result;
+    }
+}
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const getEntry = async (entries, id) => {
+    const entry = await promisify(entries.get(id));
+    if (!entry) {
+        throw new Error('Model not found in the library');
+    }
+    return entry;
+};
@@ -1,6 +1,19 @@
 import { Maze } from './maze.js';
 import { Mouse } from './mouse.js';
-import { QLearningAgent } from './ai.js';
+import { AGENTS } from './agents.js';
+import { createExplorationStrategy } from './exploration.js';
+import { REWARD_PROFILES, createRewardFunction } from './rewards.js';
+import { MicromouseEnvironment, Trainer, getSuccessRate } from './training.js';
+import { LearningCurveChart } from './charts.js';
+import { PolicyOverlay } from './overlays.js';
+import { EpisodeReplay, ACTION_NAMES, formatState } from './replay.js';
+import { GifEncoder } from './gif.js';
+import { SWEEP_PARAMETERS, createGridConfigurations, createRandomConfigurations, compareSweepResults } from './sweep.js';
+import { normalizeSeed, randomSeed } from './random.js';
+import { SOLVERS } from './solvers.js';
+import { parseMazeFile, createMazeFromLayout, exportMazBinary, exportAsciiMaze } from './mazefile.js';
+import { createModel, parseModel, validateModel, createAgentFromModel, migrateLegacyModel } from './modelfile.js';
+import { ModelLibrary } from './library.js';
 
 const canvas = document.getElementById('mazeCanvas');
 const ctx = canvas.getContext('2d');
@@ -17,29 +30,141 @@ const totalStepsSpan = document.getElementById('totalSteps');
 const averageStepsSpan = document.getElementById('averageSteps');
 const modeIndicator = document.getElementById('modeIndicator');
 const currentModeSpan = document.getElementById('currentMode');
+const mazeSeedSpan = document.getElementById('mazeSeed');
+const agentSeedSpan = document.getElementById('agentSeed');
+const mazeSeedInput = document.getElementById('mazeSeedInput');
+const agentSeedInput = document.getElementById('agentSeedInput');
+const algorithmSelect = document.getElementById('algorithmSelect');
+const braidInput = document.getElementById('braidInput');
+const mazeWidthInput = document.getElementById('mazeWidthInput');
+const mazeHeightInput = document.getElementById('mazeHeightInput');
+const layoutSelect = document.getElementById('layoutSelect');
+const editModeBtn = document.getElementById('editModeBtn');
+const mazeWarning = document.getElementById('mazeWarning');
+const optimalStepsSpan = document.getElementById('optimalSteps');
+const solverSelect = document.getElementById('solverSelect');
+const runSolverBtn = document.getElementById('runSolverBtn');
+const solverResultSpan = document.getElementById('solverResult');
+const failedRunsSpan = document.getElementById('failedRuns');
+const maxStepsInput = document.getElementById('maxStepsInput');
+const agentSelect = document.getElementById('agentSelect');
+const explorationSelect = document.getElementById('explorationSelect');
+const encodingSelect = document.getElementById('encodingSelect');
+const planningStepsInput = document.getElementById('planningStepsInput');
+const firstSuccessSpan = document.getElementById('firstSuccess');
+const turboToggle = document.getElementById('turboToggle');
+const watchToggle = document.getElementById('watchToggle');
+const explorationSpan = document.getElementById('exploration');
+const successRateSpan = document.getElementById('successRate');
+const visitedCellsSpan = document.getElementById('visitedCells');
+const learningCurveCanvas = document.getElementById('learningCurveCanvas');
+// Overlay toggles, keyed by the layer ids of OVERLAY_LAYERS
+const overlayToggles = {
+    maxQ: document.getElementById('maxQOverlayToggle'),
+    policy: document.getElementById('policyOverlayToggle'),
+    visits: document.getElementById('visitsOverlayToggle')
+};
+const chartWindowInput = document.getElementById('chartWindowInput');
+const replayPanel = document.getElementById('replayPanel');
+const replayEpisodeSelect = document.getElementById('replayEpisodeSelect');
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replayStepBackBtn = document.getElementById('replayStepBackBtn');
+const replayStepBtn = document.getElementById('replayStepBtn');
+const replayCloseBtn = document.getElementById('replayCloseBtn');
+const replayScrubInput = document.getElementById('replayScrubInput');
+const replayPositionOutput = document.getElementById('replayPosition');
+const replayStateCode = document.getElementById('replayState');
+const replayQValuesCell = document.getElementById('replayQValues');
+const replayActionCell = document.getElementById('replayAction');
+const replayRewardCell = document.getElementById('replayReward');
+const resetHyperparametersBtn = document.getElementById('resetHyperparametersBtn');
+// Hyperparameter sliders and the outputs showing their values
+const hyperparameterControls = {
+    learningRate: { input: document.getElementById('learningRateInput'), output: document.getElementById('learningRateValue') },
+    discountFactor: { input: document.getElementById('discountFactorInput'), output: document.getElementById('discountFactorValue') },
+    explorationRate: { input: document.getElementById('explorationRateInput'), output: document.getElementById('explorationRateValue') },
+    explorationDecay: { input: document.getElementById('explorationDecayInput'), output: document.getElementById('explorationDecayValue') },
+    minExplorationRate: { input: document.getElementById('minExplorationRateInput'), output: document.getElementById('minExplorationRateValue') },
+    stepsPerFrame: { input: document.getElementById('stepsPerFrameInput'), output: document.getElementById('stepsPerFrameValue') },
+    animationSpeed: { input: document.getElementById('animationSpeedInput'), output: document.getElementById('animationSpeedValue') }
+};
+const rewardProfileSelect = document.getElementById('rewardProfileSelect');
+const rewardShapingSelect = document.getElementById('rewardShapingSelect');
+// Numeric reward profile fields and the reward panel inputs that edit them
+const rewardInputs = {
+    goalReward: document.getElementById('rewardGoalInput'),
+    wallPenalty: document.getElementById('rewardWallInput'),
+    stepPenalty: document.getElementById('rewardStepInput'),
+    timeoutPenalty: document.getElementById('rewardTimeoutInput'),
+    closerReward: document.getElementById('rewardCloserInput'),
+    furtherPenalty: document.getElementById('rewardFurtherInput'),
+    potentialScale: document.getElementById('rewardPotentialInput'),
+    revisitPenalty: document.getElementById('rewardRevisitInput'),
+    maxRevisitPenalty: document.getElementById('rewardMaxRevisitInput'),
+    newCellBonus: document.getElementById('rewardNewCellInput')
+};
 
-const MAZE_SIZE = 31;
+const DEFAULT_MAZE_SIZE = 31;
+const MIN_MAZE_SIZE = 5;
+const MAX_MAZE_SIZE = 251;
 const CELL_SIZE = 20;
-const ANIMATION_SPEED = 50;
-const LEARNING_STEPS_PER_FRAME = 10;
 const SUCCESS_PAUSE_DURATION = 1500;
 const MAX_SCOREBOARD_ENTRIES = 10;
+const DEFAULT_MAX_EPISODE_STEPS = 5000;
+const DEFAULT_PLANNING_STEPS = 10;
 const PARTICLE_COUNT = 100;
+const SUCCESS_RATE_WINDOW = 100;
+const DEFAULT_CHART_WINDOW = 20;
+const MAX_RECENT_RECORDINGS = 20; // Latest episodes kept for replays, besides the leaderboard's
+const HYPERPARAMETERS_STORAGE_KEY = 'micromouse_hyperparameters';
+const MODEL_STORAGE_KEY = 'micromouse_qtable'; // Single save slot from before the model library
+// Agent hyperparameters for new agents, plus the speed of the learning and replay animations
+const DEFAULT_HYPERPARAMETERS = {
+    learningRate: 0.2,
+    discountFactor: 0.95,
+    explorationRate: 1.0,
+    explorationDecay: 0.995,
+    minExplorationRate: 0.01,
+    stepsPerFrame: 10, // Learning steps per animation frame in rendered training
+    animationSpeed: 50 // Milliseconds per step of solver runs and policy replays
+};
 
 let maze;
 let mouse;
 let ai;
-let generation = 0;
+let environment;
+let trainer; // Owns the episode counter shown as the generation
 let successfulRuns = 0;
+let failedRuns = 0;
 let totalSteps = 0;
 let bestTime = Infinity;
 let animationInterval;
 let isPaused = false;
 let successfulRunsData = [];
+let episodeResults = []; // Trainer summary of every finished episode, successful or not
+let recentRecordings = []; // Summaries of the latest episodes with their step recordings, oldest first
 let mouseName = 'Learner';
 let mouseLogo;
 let particles = [];
 let isPlayMode = false;
+let isEditMode = false;
+let editPaintValue = null; // Wall value being painted while dragging in edit mode
+let optimalSteps = Infinity; // Shortest possible path from start to goal
+let solverInterval = null;
+let drawRequest = null;
+let chartRequest = null;
+let backgroundRun = null; // Turbo training in a Web Worker: { worker, agent, qTable, onStopped }
+let watchInterval = null;
+let replay = null; // EpisodeReplay shown on the canvas
+let replayInterval = null;
+let replayChoices = []; // Episodes behind the replay dropdown's options, by option value
+let replayEntry = null; // Leaderboard or recent episode entry being replayed
+let isExporting = false; // A GIF or WebM export is drawing its own frames
+let solverStep = null; // Callback of the running solver animation
+let hyperparameters = { ...DEFAULT_HYPERPARAMETERS }; // Values on the sliders and in the agent
+let savedHyperparameters = { ...DEFAULT_HYPERPARAMETERS }; // Slider defaults kept for the next session
+const learningCurveChart = new LearningCurveChart(learningCurveCanvas);
+const policyOverlay = new PolicyOverlay();
 
 // Simplified mouse name system
 const mouseNames = ["Baus", "Rekkles", "Nemesis", "Velja", "Crownie"];
@@ -56,29 +181,71 @@ const preloadAssets = () => {
     mouseLogo.onerror = () => generateNewMaze();
 };
 
+// Read a seed from an input field, falling back to a fresh random seed when it's empty
+const readSeed = (input) => {
+    const value = input.value.trim();
+    return value ? normalizeSeed(value) : randomSeed();
+};
+
+// Collect maze generation settings from the option controls.
+// Competition layouts ('competition-16', 'competition-32') have a fixed cell count,
+// and each cell plus its walls takes two grid squares.
+const getMazeOptions = () => {
+    const [mode, cells] = layoutSelect.value.split('-');
+    const isCompetition = mode === 'competition';
+    return {
+        width: isCompetition ? Number(cells) * 2 + 1 : readMazeSize(mazeWidthInput),
+        height: isCompetition ? Number(cells) * 2 + 1 : readMazeSize(mazeHeightInput),
+        mode,
+        seed: readSeed(mazeSeedInput),
+        algorithm: algorithmSelect.value,
+        braid: (Number(braidInput.value) || 0) / 100
+    };
+};
+
+// Read a maze dimension, clamped to the supported range and rounded up to an odd number
+// so the grid always has a solid outer wall
+const readMazeSize = (input) => {
+    const value = Math.round(Number(input.value)) || DEFAULT_MAZE_SIZE;
+    const size = Math.max(MIN_MAZE_SIZE, Math.min(MAX_MAZE_SIZE, value));
+    const oddSize = size % 2 === 0 ? size + 1 : size;
+    input.value = oddSize;
+    return oddSize;
+};
+
 // Generate a new maze and reset game state
-const generateNewMaze = () => {
+const generateNewMaze = (mazeOptions = getMazeOptions()) => {
+    // Typed seeds reproduce a maze and, together with the agent seed, the whole training run
+    useMaze(new Maze(mazeOptions.width, mazeOptions.height, CELL_SIZE, mazeOptions));
+};
+
+// Switch to a maze (generated or imported) with a fresh agent, or a loaded one, and reset game state
+const useMaze = (newMaze, agent = createAgent()) => {
     stopAnimation();
     isPlayMode = false;
     updateModeIndicator();
 
-    const mazeWidth = MAZE_SIZE % 2 === 0 ? MAZE_SIZE + 1 : MAZE_SIZE;
-    const mazeHeight = MAZE_SIZE % 2 === 0 ? MAZE_SIZE + 1 : MAZE_SIZE;
-
-    canvas.width = mazeWidth * CELL_SIZE;
-    canvas.height = mazeHeight * CELL_SIZE;
-
-    maze = new Maze(mazeWidth, mazeHeight, CELL_SIZE);
-    maze.generate();
-    
-    ai = new QLearningAgent(0.2, 0.95, 1.0, 0.995, 0.01);
+    maze = newMaze;
+    setEditMode(false);
+    checkGoalReachable();
+    updateOptimalSteps();
+    solverResultSpan.textContent = '-';
+    ai = agent;
+    // Only the model-based agents plan
+    planningStepsInput.disabled = !('planningSteps' in ai);
+    // The DQN trains its network with its own Adam step size, so α has no effect on it
+    hyperparameterControls.learningRate.input.disabled = 'stepSize' in ai;
     mouse = new Mouse(maze, maze.start.x, maze.start.y, mouseLogo);
+    environment = new MicromouseEnvironment(maze, ai, { mouse, maxSteps: getMaxEpisodeSteps() });
+    trainer = new Trainer(environment, { record: true });
 
-    generation = 0;
     successfulRuns = 0;
+    failedRuns = 0;
     totalSteps = 0;
     bestTime = Infinity;
     successfulRunsData = [];
+    episodeResults = [];
+    recentRecordings = [];
     updateScoreboard();
     updateMetrics();
     updateStats();
@@ -94,64 +261,414 @@ const resetMouseAndAI = (loadBestAI = true) => {
     if (ai && loadBestAI && successfulRunsData.length > 0) {
         // Load the Q-table from the best successful run
         const bestRun = successfulRunsData[0];
-        if (!ai) {
-             ai = new QLearningAgent(0.2, 0.95, 1.0, 0.995, 0.1);
-        }
         ai.loadQTable(bestRun.qTable);
         mouseName = getMouseName(bestRun.generation);
     } else {
          // Initialize new AI or use current AI
          if (!ai) {
-             ai = new QLearningAgent(0.2, 0.95, 1.0, 0.995, 0.1);
+             ai = createAgent();
          }
          mouseName = 'Learner';
     }
     
-    mouse.reset(maze.start.x, maze.start.y);
+    trainer.startEpisode();
     updateStats();
     draw();
 };
 
+// Recompute the shortest possible path length, the reference for the agent's best run
+const updateOptimalSteps = () => {
+    optimalSteps = maze.getDistancesToGoal()[maze.start.y][maze.start.x];
+};
+
+// Show a warning and return false when the goal can't be reached from the start
+const checkGoalReachable = () => {
+    const reachable = maze.isGoalReachable();
+    mazeWarning.hidden = reachable;
+    return reachable;
+};
+
 // Start the learning process
 const startLearning = () => {
-    if (isPaused) return;
+    if (isPaused || isEditMode || isExporting) return;
+    // Training can never succeed on an unsolvable maze
+    if (!checkGoalReachable()) return;
+    // A solver or play run may have left the mouse on the goal
+    if (mouse.isAtEnd()) trainer.startEpisode();
     stopAnimation();
     isPlayMode = false;
+
+    if (turboToggle.checked) {
+        startBackgroundTraining();
+        if (watchToggle.checked) startWatching();
+    } else {
+        // Rendered training moves the mouse itself, so there's no separate policy to watch
+        watchToggle.checked = false;
+        animationInterval = requestAnimationFrame(gameLoop);
+    }
     updateModeIndicator();
-    animationInterval = requestAnimationFrame(gameLoop);
+};
+
+// Turbo mode: train at full speed in a Web Worker without rendering. The worker reports
+// finished episodes a few times per second and sends a Q-table snapshot every second.
+const startBackgroundTraining = () => {
+    const worker = new Worker(new URL('./training-worker.js', import.meta.url), { type: 'module' });
+    const run = { worker, agent: ai, qTable: ai.qTable, onStopped: null };
+    worker.addEventListener('message', (event) => handleWorkerMessage(run, event.data));
+    worker.addEventListener('error', (event) => {
+        console.error('Background training failed:', event.message);
+        if (run === backgroundRun) {
+            backgroundRun = null;
+            updateModeIndicator();
+        }
+    });
+
+    worker.postMessage({
+        type: 'start',
+        maze: maze.serialize(),
+        agent: ai.serialize(),
+        episode: trainer.episode,
+        maxSteps: getMaxEpisodeSteps(),
+        scoreboardSteps: successfulRunsData.map(entry => entry.steps)
+    });
+    backgroundRun = run;
+};
+
+// Ask the worker to finish. Its final report still counts unless something else has
+// replaced the agent or its Q-table in the meantime; onStopped runs once it has been applied.
+const stopBackgroundTraining = (onStopped = null) => {
+    if (!backgroundRun) return;
+    backgroundRun.onStopped = onStopped;
+    backgroundRun.worker.postMessage({ type: 'stop' });
+    backgroundRun = null;
+    updateModeIndicator();
+};
+
+const handleWorkerMessage = (run, data) => {
+    const isFinalReport = !backgroundRun && !animationInterval && ai === run.agent && ai.qTable === run.qTable;
+    if (run !== backgroundRun && !isFinalReport) return;
+
+    if (data.type === 'progress') {
+        data.episodes.forEach(recordBackgroundEpisode);
+        trainer.episode = data.episode;
+        ai.explorationRate = data.explorationRate;
+        ai.exploration = createExplorationStrategy(data.exploration);
+        mouseName = getMouseName(data.episode);
+        updateMetrics();
+        updateStats();
+        if (data.episodes.some(episode => episode.qTable)) updateScoreboard();
+        currentTimeSpan.textContent = data.steps;
+        successRateSpan.textContent = formatPercent(data.successRate);
+    } else if (data.type === 'snapshot') {
+        ai.loadState(data.agent);
+        run.qTable = ai.qTable;
+        trainer.episode = data.episode;
+        if (data.final) {
+            updateStats();
+            if (run.onStopped) run.onStopped();
+        }
+    }
+};
+
+// Count an episode finished by the worker the same way as one trained on screen
+const recordBackgroundEpisode = (episode) => {
+    recordEpisode(episode);
+    if (episode.outcome !== 'success') {
+        failedRuns++;
+        return;
+    }
+
+    successfulRuns++;
+    totalSteps += episode.steps;
+    bestTime = Math.min(bestTime, episode.steps);
+    // The worker only attaches a Q-table to runs good enough for the leaderboard
+    if (episode.qTable) {
+        addScoreboardEntry(episode.episode, getMouseName(episode.episode), episode.steps, episode.qTable, episode.recording);
+    }
+};
+
+// Add an episode to the history. Q-tables and recordings are too big to keep for every
+// episode; recordings stay with the latest few (and with leaderboard entries).
+const recordEpisode = (episode) => {
+    const { qTable, recording, ...summary } = episode;
+    episodeResults.push(summary);
+    if (recording) {
+        recentRecordings.push({ ...summary, recording });
+        if (recentRecordings.length > MAX_RECENT_RECORDINGS) recentRecordings.shift();
+    }
+};
+
+// Replay the current greedy policy on the canvas without learning from it
+const startWatching = () => {
+    stopWatching();
+    mouse.reset(maze.start.x, maze.start.y);
+    watchInterval = setInterval(watchStep, hyperparameters.animationSpeed);
+};
+
+// One step of the policy replay
+const watchStep = () => {
+    const action = ai.getBestAction(ai.getRelativeState(mouse));
+    const moved = mouse.move(action);
+    currentTimeSpan.textContent = mouse.steps;
+
+    // A greedy path longer than the whole maze is going round in circles
+    const maxSteps = Math.min(getMaxEpisodeSteps(), maze.width * maze.height);
+    // Start the replay over once the policy reaches the goal, runs into a wall or loops
+    if (mouse.isAtEnd() || !moved || mouse.getActionCount() >= maxSteps) {
+        mouse.reset(maze.start.x, maze.start.y);
+    }
+};
+
+const stopWatching = () => {
+    if (watchInterval) {
+        clearInterval(watchInterval);
+        watchInterval = null;
+        trainer.startEpisode();
+    }
+};
+
+// Replay a recorded episode on the canvas. Like the solver, it takes over the mouse.
+const openReplay = (entry) => {
+    if (isPaused || isExporting) return;
+    stopAnimation();
+    setEditMode(false);
+    isPlayMode = false;
+
+    replay = new EpisodeReplay(mouse, entry.recording);
+    replayEntry = entry;
+    replayPanel.open = true;
+    updateReplayEpisodes();
+    replayScrubInput.max = replay.length;
+    setReplayControlsEnabled(true);
+    showReplayStep();
+    updateModeIndicator();
+};
+
+const stopReplay = () => {
+    if (!replay) return;
+    pauseReplay();
+    replay = null;
+    replayEntry = null;
+    replayEpisodeSelect.value = '';
+    setReplayControlsEnabled(false);
+    trainer.startEpisode();
+};
+
+const setReplayControlsEnabled = (enabled) => {
+    [replayPlayBtn, replayStepBackBtn, replayStepBtn, replayCloseBtn, replayScrubInput].forEach(control => {
+        control.disabled = !enabled;
+    });
+};
+
+const playReplay = () => {
+    if (replay.isAtEnd()) replay.seek(0);
+    replayInterval = setInterval(replayStep, hyperparameters.animationSpeed);
+    replayPlayBtn.textContent = '⏸️ Pause';
+};
+
+const pauseReplay = () => {
+    clearInterval(replayInterval);
+    replayInterval = null;
+    replayPlayBtn.textContent = '▶️ Play';
+};
+
+// One step of replay playback
+const replayStep = () => {
+    replay.stepBy(1);
+    showReplayStep();
+    if (replay.isAtEnd()) pauseReplay();
+};
+
+// Show the replay position on the canvas and the scrub bar, and the step that led there in the inspector
+const showReplayStep = () => {
+    replayScrubInput.value = replay.position;
+    replayPositionOutput.textContent = `${replay.position} / ${replay.length}`;
+    currentTimeSpan.textContent = mouse.steps;
+
+    const step = replay.getCurrentStep();
+    replayQValuesCell.innerHTML = '';
+    if (!step) {
+        replayStateCode.textContent = 'At the start';
+        replayActionCell.textContent = '-';
+        replayRewardCell.textContent = '-';
+    } else {
+        replayStateCode.textContent = formatState(step.state);
+        step.qValues.forEach((value, action) => {
+            const span = document.createElement('span');
+            span.textContent = `${ACTION_NAMES[action]}: ${value.toFixed(2)}`;
+            span.classList.toggle('chosen', action === step.action);
+            replayQValuesCell.appendChild(span);
+        });
+        replayActionCell.textContent = step.moved ? ACTION_NAMES[step.action] : `${ACTION_NAMES[step.action]} (blocked by a wall)`;
+        replayRewardCell.textContent = step.reward.toFixed(2);
+    }
+    draw();
+};
+
+// List the recorded episodes: leaderboard runs first, then the latest episodes, newest first
+const updateReplayEpisodes = () => {
+    replayChoices = [];
+    replayEpisodeSelect.innerHTML = '<option value="">Choose an episode…</option>';
+
+    const addGroup = (label, entries, describe) => {
+        if (entries.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        entries.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = replayChoices.length;
+            option.textContent = describe(entry);
+            option.selected = replay?.recording === entry.recording;
+            replayChoices.push(entry);
+            group.appendChild(option);
+        });
+        replayEpisodeSelect.appendChild(group);
+    };
+    addGroup('🏆 Leaderboard', successfulRunsData.filter(run => run.recording),
+        run => `Gen ${run.generation}: ${run.name} - ${run.steps} steps`);
+    addGroup('Latest episodes', [...recentRecordings].reverse(),
+        episode => `Gen ${episode.episode}: ${episode.outcome === 'success' ? 'reached the goal' : 'timed out'} - ${episode.steps} steps`);
+};
+
+// Read the per-episode action limit; a badly trained agent could otherwise wander forever
+const getMaxEpisodeSteps = () => {
+    return Math.max(1, Math.round(Number(maxStepsInput.value)) || DEFAULT_MAX_EPISODE_STEPS);
+};
+
+// Read the number of simulated updates per real step for Dyna-Q and Prioritized Sweeping
+const getPlanningSteps = () => {
+    const value = Math.round(Number(planningStepsInput.value));
+    return Number.isNaN(value) ? DEFAULT_PLANNING_STEPS : Math.max(0, value);
+};
+
+// Agent built from the current algorithm, exploration, state, reward and hyperparameter settings
+const createAgent = () => {
+    return AGENTS[agentSelect.value].create(
+        hyperparameters.learningRate,
+        hyperparameters.discountFactor,
+        hyperparameters.explorationRate,
+        hyperparameters.explorationDecay,
+        hyperparameters.minExplorationRate,
+        {
+            seed: readSeed(agentSeedInput),
+            exploration: explorationSelect.value,
+            encoding: encodingSelect.value,
+            rewards: readRewardProfile(),
+            planningSteps: getPlanningSteps()
+        }
+    );
+};
+
+// Hyperparameters a running agent can take over (epsilon start only applies when it's changed)
+const getAgentHyperparameters = () => ({
+    learningRate: hyperparameters.learningRate,
+    discountFactor: hyperparameters.discountFactor,
+    explorationDecay: hyperparameters.explorationDecay,
+    minExplorationRate: hyperparameters.minExplorationRate
+});
+
+// Hyperparameters saved by an earlier session, on top of the defaults
+const loadHyperparameters = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HYPERPARAMETERS_STORAGE_KEY));
+        return { ...DEFAULT_HYPERPARAMETERS, ...saved };
+    } catch (error) {
+        console.error('Failed to load hyperparameters:', error);
+        return { ...DEFAULT_HYPERPARAMETERS };
+    }
+};
+
+// Keep the named slider values for the next session; values a loaded model put on the
+// other sliders aren't saved
+const saveHyperparameters = (names) => {
+    for (const name of names) savedHyperparameters[name] = hyperparameters[name];
+    try {
+        localStorage.setItem(HYPERPARAMETERS_STORAGE_KEY, JSON.stringify(savedHyperparameters));
+    } catch (error) {
+        console.error('Failed to save hyperparameters:', error);
+    }
+};
+
+// Put the hyperparameter values on the sliders and their outputs
+const showHyperparameters = () => {
+    for (const [name, { input, output }] of Object.entries(hyperparameterControls)) {
+        input.value = hyperparameters[name];
+        output.textContent = name === 'animationSpeed' ? `${hyperparameters[name]} ms` : hyperparameters[name];
+    }
+};
+
+// Apply a changed hyperparameter to the running agent, animations and background training
+const applyHyperparameter = (name) => {
+    const changes = name === 'explorationRate' ? { explorationRate: hyperparameters.explorationRate } : {};
+    ai.setHyperparameters({ ...getAgentHyperparameters(), ...changes });
+    configureBackgroundTraining(changes);
+    if (name === 'animationSpeed') restartAnimationTimers();
+    updateStats();
+};
+
+// Animation delay changes apply to a running solver or policy replay straight away
+const restartAnimationTimers = () => {
+    if (solverInterval) {
+        clearInterval(solverInterval);
+        solverInterval = setInterval(solverStep, hyperparameters.animationSpeed);
+    }
+    if (watchInterval) {
+        clearInterval(watchInterval);
+        watchInterval = setInterval(watchStep, hyperparameters.animationSpeed);
+    }
+    if (replayInterval) {
+        clearInterval(replayInterval);
+        replayInterval = setInterval(replayStep, hyperparameters.animationSpeed);
+    }
+};
+
+// Reward profile as currently set in the reward panel
+const readRewardProfile = () => {
+    const preset = REWARD_PROFILES[rewardProfileSelect.value];
+    const profile = { name: preset ? preset.name : 'Custom', shaping: rewardShapingSelect.value };
+    for (const [field, input] of Object.entries(rewardInputs)) {
+        profile[field] = Number(input.value) || 0;
+    }
+    return profile;
+};
+
+// Fill the reward panel with a profile's values
+const showRewardProfile = (profile) => {
+    rewardShapingSelect.value = profile.shaping;
+    for (const [field, input] of Object.entries(rewardInputs)) {
+        input.value = profile[field];
+    }
+};
+
+// Reward changes apply to the current agent (and background training) without restarting it
+const applyRewardProfile = () => {
+    ai.rewards = createRewardFunction(readRewardProfile());
+    configureBackgroundTraining();
 };
 
 // Main game loop for learning mode
 const gameLoop = (timestamp) => {
     if (isPaused || isPlayMode) return;
 
-    // Execute multiple AI steps per frame for faster learning
-    for (let i = 0; i < LEARNING_STEPS_PER_FRAME; i++) {
-        const currentState = ai.getRelativeState(mouse);
-        const action = ai.getAction(currentState);
-        const nextPosition = mouse.getNextPosition(action);
-        const wouldBeValid = maze.isValidPosition(nextPosition.x, nextPosition.y);
-        
-        // Calculate reward before moving
-        const reward = ai.getReward(mouse, action, wouldBeValid);
-        
-        let nextState;
-        if (wouldBeValid) {
-            mouse.move(action);
-            nextState = ai.getRelativeState(mouse);
-        } else {
-            nextState = currentState;
-        }
+    // Running out of steps ends the episode with a terminal penalty
+    environment.maxSteps = getMaxEpisodeSteps();
 
-        // Learn from this experience
-        ai.learn(currentState, action, reward, nextState);
+    // Execute multiple AI steps per frame for faster learning
+    for (let i = 0; i < hyperparameters.stepsPerFrame; i++) {
+        // Observe, act and learn from this experience
+        const { done, info, episode } = trainer.step();
         
         // Update current steps display immediately
         currentTimeSpan.textContent = mouse.steps;
 
         // Check for successful run
-        if (mouse.isAtEnd()) {
-            handleSuccessfulRun();
+        if (info.reachedGoal) {
+            handleSuccessfulRun(episode);
+            return;
+        }
+
+        if (done) {
+            handleFailedRun(episode);
             return;
         }
     }
@@ -163,8 +680,8 @@ const gameLoop = (timestamp) => {
     animationInterval = requestAnimationFrame(gameLoop);
 };
 
-// Handle a successful run to the end of the maze
-const handleSuccessfulRun = () => {
+// Handle a successful run to the end of the maze (the Trainer's summary when the AI ran it)
+const handleSuccessfulRun = (episode = null) => {
     successfulRuns++;
     const currentRunSteps = mouse.steps;
     const currentRunName = mouseName;
@@ -174,14 +691,8 @@ const handleSuccessfulRun = () => {
 
     // Add to scoreboard if in Learning Mode
     if (!isPlayMode) {
-        successfulRunsData.push({
-            generation: generation,
-            name: currentRunName,
-            steps: currentRunSteps,
-            qTable: ai.getQTableCopy()
-        });
-        successfulRunsData.sort((a, b) => a.steps - b.steps);
-        successfulRunsData = successfulRunsData.slice(0, MAX_SCOREBOARD_ENTRIES);
+        recordEpisode(episode);
+        addScoreboardEntry(trainer.episode, currentRunName, currentRunSteps, ai.getQTableCopy(), episode.recording);
     }
 
     updateMetrics();
@@ -195,14 +706,33 @@ const handleSuccessfulRun = () => {
     
     setTimeout(() => {
         isPaused = false;
-        generation++;
-        ai.decayExploration();
-        mouseName = getMouseName(generation);
-        mouse.reset(maze.start.x, maze.start.y);
-        startLearning();
+        startNextGeneration();
     }, SUCCESS_PAUSE_DURATION);
 };
 
+// Keep the best runs, with the Q-table that achieved them and their recording, for the leaderboard
+const addScoreboardEntry = (generation, name, steps, qTable, recording = null) => {
+    successfulRunsData.push({ generation, name, steps, qTable, recording });
+    successfulRunsData.sort((a, b) => a.steps - b.steps);
+    successfulRunsData = successfulRunsData.slice(0, MAX_SCOREBOARD_ENTRIES);
+};
+
+// Handle an episode that hit the step limit without reaching the goal
+const handleFailedRun = (episode) => {
+    failedRuns++;
+    recordEpisode(episode);
+    updateMetrics();
+    startNextGeneration();
+};
+
+// Move on to the next episode with a little less exploration
+const startNextGeneration = () => {
+    trainer.advanceEpisode();
+    mouseName = getMouseName(trainer.episode);
+    updateStats();
+    startLearning();
+};
+
 // Start particle animation at a given position
 const startParticleAnimation = (x, y) => {
     particles = [];
@@ -214,7 +744,7 @@ const startParticleAnimation = (x, y) => {
     }
     // Ensure draw loop is running to animate particles
      if (!animationInterval) {
-         requestAnimationFrame(draw);
+         scheduleDraw();
      }
 };
 
@@ -255,13 +785,64 @@ class Particle {
 }
 
 // Stop the animation frame loop
-const stopAnimation = () => {
+const stopGameLoop = () => {
     if (animationInterval) {
         cancelAnimationFrame(animationInterval);
         animationInterval = null;
     }
 };
 
+// Stop everything that moves the mouse or trains the agent
+const stopAnimation = () => {
+    stopGameLoop();
+    stopSolver();
+    stopWatching();
+    stopReplay();
+    stopBackgroundTraining();
+};
+
+// Animate a classical solver on the current maze as a baseline for the agent
+const runSolver = () => {
+    if (isPaused || isExporting || !checkGoalReachable()) return;
+    stopAnimation();
+    setEditMode(false);
+    isPlayMode = false;
+    mouse.reset(maze.start.x, maze.start.y);
+
+    const { name, create } = SOLVERS[solverSelect.value];
+    const solver = create(maze);
+    solver.reset(mouse);
+
+    // Wall followers can circle an island forever, so cap the run
+    const maxSteps = maze.width * maze.height * 4;
+    solverResultSpan.textContent = `${name}: running...`;
+
+    solverStep = () => {
+        const action = solver.nextAction(mouse);
+        const moved = action !== -1 && mouse.move(action);
+        currentTimeSpan.textContent = mouse.steps;
+
+        if (mouse.isAtEnd()) {
+            stopSolver();
+            solverResultSpan.textContent = `${name}: ${mouse.steps} steps`;
+        } else if (!moved || mouse.steps >= maxSteps) {
+            stopSolver();
+            solverResultSpan.textContent = `${name}: gave up after ${mouse.steps} steps`;
+        }
+    };
+    solverInterval = setInterval(solverStep, hyperparameters.animationSpeed);
+    updateModeIndicator();
+};
+
+const stopSolver = () => {
+    if (solverInterval) {
+        clearInterval(solverInterval);
+        solverInterval = null;
+        solverStep = null;
+        updateModeIndicator();
+    }
+};
+
 // Ensure mouse final position is drawn after success
 const drawMouseAfterSuccess = () => {
     draw();
@@ -269,12 +850,21 @@ const drawMouseAfterSuccess = () => {
 
 // Main drawing function
 const draw = () => {
+    if (isExporting) return; // The exporter draws its own frames
     // Only clear and redraw if not paused (particles still animate when paused)
     if (!isPaused) {
         ctx.fillStyle = '#000000'; // Black background for canvas
         ctx.fillRect(0, 0, canvas.width, canvas.height);
 
         maze.draw(ctx);
+    }
+
+    // Mouse and particles are drawn in maze coordinates, scaled to fit the canvas
+    ctx.save();
+    maze.applyViewTransform(ctx);
+
+    if (!isPaused) {
+        policyOverlay.draw(ctx, maze, ai, getOverlayLayers());
         mouse.draw(ctx, mouseLogo);
     }
 
@@ -286,25 +876,71 @@ const draw = () => {
             particles.splice(i, 1);
         }
     }
+    ctx.restore();
 
     // Continue animation if there are particles or if not paused and in gameLoop
     if (particles.length > 0 || isPaused || (!animationInterval && !isPlayMode)) {
-         requestAnimationFrame(draw);
+         scheduleDraw();
+    }
+};
+
+// Which overlay layers are switched on
+const getOverlayLayers = () => {
+    return Object.fromEntries(Object.entries(overlayToggles).map(([layer, toggle]) => [layer, toggle.checked]));
+};
+
+// Request a redraw on the next frame. Only one request is kept pending, so calling
+// draw() directly (e.g. on every edit) never starts extra redraw loops.
+const scheduleDraw = () => {
+    if (!drawRequest) {
+        drawRequest = requestAnimationFrame(() => {
+            drawRequest = null;
+            draw();
+        });
     }
 };
 
 // Update statistics displayed on the page
 const updateStats = () => {
-    generationSpan.textContent = generation;
+    generationSpan.textContent = trainer.episode;
     bestTimeSpan.textContent = bestTime === Infinity ? '-' : bestTime;
+    optimalStepsSpan.textContent = optimalSteps === Infinity ? '-' : optimalSteps;
     currentTimeSpan.textContent = mouse.steps;
+    visitedCellsSpan.textContent = `${mouse.visitCounts.size} (max ${mouse.maxVisitCount}×)`;
+    mazeSeedSpan.textContent = maze.seed ?? '-';
+    agentSeedSpan.textContent = ai.seed ?? '-';
+    explorationSpan.textContent = ai.exploration.describe(ai);
+    successRateSpan.textContent = formatPercent(getSuccessRate(episodeResults, SUCCESS_RATE_WINDOW));
 };
 
+const formatPercent = (fraction) => `${Math.round(fraction * 100)}%`;
+
 // Update metrics displayed on the page
 const updateMetrics = () => {
     successfulRunsSpan.textContent = successfulRuns;
+    failedRunsSpan.textContent = failedRuns;
     totalStepsSpan.textContent = totalSteps;
     averageStepsSpan.textContent = successfulRuns > 0 ? Math.round(totalSteps / successfulRuns) : 0;
+    // How many episodes it took to find the goal at all, the quickest way to compare algorithms
+    // (counted from 1 like the sweep's first success, so Gen 0 reaching the goal shows 1)
+    const firstSuccess = episodeResults.find(result => result.outcome === 'success');
+    firstSuccessSpan.textContent = firstSuccess ? firstSuccess.episode + 1 : '-';
+    updateLearningCurves();
+};
+
+// Read how many episodes the learning curves average over
+const getChartWindow = () => {
+    return Math.max(1, Math.round(Number(chartWindowInput.value)) || DEFAULT_CHART_WINDOW);
+};
+
+// Redraw the learning curves on the next frame; episodes can end many times per frame
+const updateLearningCurves = () => {
+    if (!chartRequest) {
+        chartRequest = requestAnimationFrame(() => {
+            chartRequest = null;
+            learningCurveChart.draw(episodeResults, getChartWindow());
+        });
+    }
 };
 
 // Update the scoreboard list
@@ -314,23 +950,266 @@ const updateScoreboard = () => {
     successfulRunsData.forEach(run => {
         const li = document.createElement('li');
         li.innerHTML = `Gen ${run.generation}: ${run.name} - ${run.steps} steps`;
+        // Recorded runs open in the replay panel
+        if (run.recording) {
+            li.classList.add('replayable');
+            li.title = 'Click to replay this run';
+            li.addEventListener('click', () => openReplay(run));
+        }
         scoreboardList.appendChild(li);
     });
 };
 
 // Update the mode indicator (Learning/Play)
 const updateModeIndicator = () => {
-    modeIndicator.textContent = `Mode: ${isPlayMode ? 'Play' : 'Learning'}`;
+    let mode = 'Learning';
+    if (isExporting) mode = 'Exporting';
+    else if (isEditMode) mode = 'Edit';
+    else if (solverInterval) mode = 'Solver';
+    else if (isPlayMode) mode = 'Play';
+    else if (replay) mode = 'Replay';
+    else if (backgroundRun) mode = 'Turbo Learning';
+    else if (watchInterval) mode = 'Watching Policy';
+    modeIndicator.textContent = `Mode: ${mode}`;
+};
+
+// Enter or leave maze edit mode. Editing pauses training and puts the mouse back at the start.
+const setEditMode = (enabled) => {
+    isEditMode = enabled;
+    editPaintValue = null;
+    editModeBtn.textContent = enabled ? '✅ Done Editing' : '✏️ Edit Maze';
+    canvas.classList.toggle('editing', enabled);
+    if (enabled) {
+        stopAnimation();
+        isPlayMode = false;
+    }
+    updateModeIndicator();
+};
+
+// Convert a pointer event to the grid square under it
+const getEventGridPosition = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    const canvasX = (event.clientX - rect.left - canvas.clientLeft) * canvas.width / canvas.clientWidth;
+    const canvasY = (event.clientY - rect.top - canvas.clientTop) * canvas.height / canvas.clientHeight;
+    return maze.canvasToGrid(canvas, canvasX, canvasY);
+};
+
+// Drop episode recordings, whose replays would take another path on the edited maze (the leaderboard keeps its runs)
+const dropRecordings = () => {
+    stopReplay();
+    recentRecordings = [];
+    successfulRunsData = successfulRunsData.map(run => ({ ...run, recording: null }));
+    updateScoreboard();
+    updateReplayEpisodes();
+};
+
+// Refresh everything that depends on the maze layout after an edit
+const handleMazeEdited = () => {
+    maze.seed = null; // The seed no longer reproduces this maze
+    ai.rewards.clearCache(); // Maze distances changed
+    policyOverlay.invalidate(); // So did the open squares and the states seen there
+    dropRecordings();
+    trainer.startEpisode();
+    checkGoalReachable();
+    updateOptimalSteps();
+    updateStats();
+    draw();
 };
 
 // Event Listeners for buttons
-startBtn.addEventListener('click', startLearning);
+startBtn.addEventListener('click', () => {
+    setEditMode(false);
+    startLearning();
+});
 
 resetBtn.addEventListener('click', () => {
     // Reset mouse and load best AI on reset
     resetMouseAndAI(true);
 });
 
+layoutSelect.addEventListener('change', () => {
+    // Competition fields have a fixed size
+    const isCompetition = layoutSelect.value !== 'classic';
+    mazeWidthInput.disabled = isCompetition;
+    mazeHeightInput.disabled = isCompetition;
+});
+
+runSolverBtn.addEventListener('click', runSolver);
+
+// A different algorithm, exploration strategy or state encoding starts a fresh agent on the same maze, so runs can be compared
+agentSelect.addEventListener('change', () => useMaze(maze));
+explorationSelect.addEventListener('change', () => useMaze(maze));
+encodingSelect.addEventListener('change', () => useMaze(maze));
+
+turboToggle.addEventListener('change', () => {
+    // Switch a running training session between the canvas and the worker
+    if (backgroundRun) {
+        stopBackgroundTraining(startLearning);
+    } else if (animationInterval) {
+        startLearning();
+    }
+});
+
+watchToggle.addEventListener('change', () => {
+    if (!watchToggle.checked) {
+        stopWatching();
+        updateModeIndicator();
+        return;
+    }
+    if (isEditMode || isPlayMode || solverInterval) return;
+    // Watching takes over the mouse from rendered training or a replay; turbo training carries on
+    stopGameLoop();
+    stopReplay();
+    startWatching();
+    updateModeIndicator();
+});
+
+// Settings changes reach the worker's copy of the agent. Epsilon is only sent when it was
+// changed here, since the worker's own value is ahead of the last one reported back.
+const configureBackgroundTraining = (changes = {}) => {
+    if (backgroundRun) {
+        backgroundRun.worker.postMessage({
+            type: 'configure',
+            maxSteps: getMaxEpisodeSteps(),
+            planningSteps: getPlanningSteps(),
+            rewards: ai.rewards.serialize(),
+            hyperparameters: { ...getAgentHyperparameters(), ...changes }
+        });
+    }
+};
+
+maxStepsInput.addEventListener('change', () => configureBackgroundTraining());
+
+chartWindowInput.addEventListener('change', updateLearningCurves);
+
+// The list of recorded episodes is refreshed when it's about to be used, not on every episode
+replayPanel.addEventListener('toggle', () => {
+    if (replayPanel.open) updateReplayEpisodes();
+});
+replayEpisodeSelect.addEventListener('focus', updateReplayEpisodes);
+
+replayEpisodeSelect.addEventListener('change', () => {
+    const entry = replayChoices[replayEpisodeSelect.value];
+    if (entry) openReplay(entry);
+});
+
+replayPlayBtn.addEventListener('click', () => {
+    if (replayInterval) pauseReplay();
+    else playReplay();
+});
+
+replayStepBackBtn.addEventListener('click', () => {
+    pauseReplay();
+    replay.stepBy(-1);
+    showReplayStep();
+});
+
+replayStepBtn.addEventListener('click', () => {
+    pauseReplay();
+    replay.stepBy(1);
+    showReplayStep();
+});
+
+replayScrubInput.addEventListener('input', () => {
+    pauseReplay();
+    replay.seek(Number(replayScrubInput.value));
+    showReplayStep();
+});
+
+replayCloseBtn.addEventListener('click', () => {
+    stopReplay();
+    updateModeIndicator();
+    updateStats();
+    draw();
+});
+
+Object.values(overlayToggles).forEach(toggle => {
+    toggle.addEventListener('change', () => {
+        policyOverlay.invalidate();
+        draw();
+    });
+});
+
+// Planning steps apply immediately, without restarting the agent
+planningStepsInput.addEventListener('change', () => {
+    if ('planningSteps' in ai) ai.planningSteps = getPlanningSteps();
+    configureBackgroundTraining();
+});
+
+Object.entries(hyperparameterControls).forEach(([name, { input }]) => {
+    input.addEventListener('input', () => {
+        hyperparameters[name] = Number(input.value);
+        showHyperparameters();
+        applyHyperparameter(name);
+        saveHyperparameters([name]);
+    });
+});
+
+resetHyperparametersBtn.addEventListener('click', () => {
+    hyperparameters = { ...DEFAULT_HYPERPARAMETERS };
+    showHyperparameters();
+    Object.keys(hyperparameterControls).forEach(applyHyperparameter);
+    saveHyperparameters(Object.keys(hyperparameterControls));
+    showButtonFeedback(resetHyperparametersBtn, '✅ Reset!', '#4CAF50');
+});
+
+rewardProfileSelect.addEventListener('change', () => {
+    showRewardProfile(REWARD_PROFILES[rewardProfileSelect.value]);
+    applyRewardProfile();
+});
+
+// Editing any value turns the profile into a custom one
+[rewardShapingSelect, ...Object.values(rewardInputs)].forEach(input => {
+    input.addEventListener('change', () => {
+        rewardProfileSelect.value = 'custom';
+        applyRewardProfile();
+    });
+});
+
+editModeBtn.addEventListener('click', () => {
+    setEditMode(!isEditMode);
+    mouse.reset(maze.start.x, maze.start.y);
+    updateStats();
+    draw();
+});
+
+// Edit mode: click/drag paints walls, right-click moves the start, shift-click moves the goal
+canvas.addEventListener('pointerdown', (event) => {
+    if (!isEditMode) return;
+    const position = getEventGridPosition(event);
+    if (!position) return;
+
+    let changed;
+    if (event.button === 2) {
+        changed = maze.setStart(position.x, position.y);
+    } else if (event.shiftKey) {
+        changed = maze.setGoal(position.x, position.y);
+    } else {
+        // The first square decides whether this drag adds or removes walls
+        editPaintValue = !maze.isWall(position.x, position.y);
+        changed = maze.setWall(position.x, position.y, editPaintValue);
+        canvas.setPointerCapture(event.pointerId);
+    }
+
+    if (changed) handleMazeEdited();
+});
+
+canvas.addEventListener('pointermove', (event) => {
+    if (!isEditMode || editPaintValue === null) return;
+    const position = getEventGridPosition(event);
+    if (position && maze.setWall(position.x, position.y, editPaintValue)) {
+        handleMazeEdited();
+    }
+});
+
+canvas.addEventListener('pointerup', () => {
+    editPaintValue = null;
+});
+
+canvas.addEventListener('contextmenu', (event) => {
+    if (isEditMode) event.preventDefault();
+});
+
 newMazeBtn.addEventListener('click', () => {
     // Generate a completely new maze and reset everything
     generateNewMaze();
@@ -338,6 +1217,7 @@ newMazeBtn.addEventListener('click', () => {
 
 playModeBtn.addEventListener('click', () => {
     stopAnimation(); // Stop learning animation
+    setEditMode(false);
     isPlayMode = true;
     mouse.reset(maze.start.x, maze.start.y); // Reset mouse for play mode
     updateModeIndicator();
@@ -345,43 +1225,767 @@ playModeBtn.addEventListener('click', () => {
     draw();
 });
 
-// Add save/load button listeners
+// Briefly show feedback text on a button, then restore it
+const showButtonFeedback = (button, text, color) => {
+    const originalText = button.textContent;
+    button.textContent = text;
+    button.style.backgroundColor = color;
+    setTimeout(() => {
+        button.textContent = originalText;
+        button.style.backgroundColor = '';
+    }, 2000);
+};
+
+// Offer data to the user as a file download
+const downloadFile = (filename, data, type) => {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Maze import/export (.maz binary or ASCII drawing)
+const importMazeBtn = document.getElementById('importMazeBtn');
+const exportMazBtn = document.getElementById('exportMazBtn');
+const exportAsciiBtn = document.getElementById('exportAsciiBtn');
+const mazeFileInput = document.getElementById('mazeFileInput');
+
+const importMazeFile = async (file) => {
+    // Files can still be dropped on the maze while an export draws on it
+    if (isExporting) return;
+    try {
+        const layout = parseMazeFile(file.name, await file.arrayBuffer());
+        useMaze(createMazeFromLayout(layout, CELL_SIZE));
+        showButtonFeedback(importMazeBtn, '✅ Imported!', '#4CAF50');
+    } catch (error) {
+        console.error(`Failed to import maze from ${file.name}:`, error);
+        showButtonFeedback(importMazeBtn, '❌ Invalid maze', '#f44336');
+    }
+};
+
+const exportMaze = (button, filename, createData, type) => {
+    try {
+        downloadFile(filename, createData(maze), type);
+    } catch (error) {
+        console.error('Failed to export maze:', error);
+        showButtonFeedback(button, '❌ ' + error.message, '#f44336');
+    }
+};
+
+importMazeBtn.addEventListener('click', () => mazeFileInput.click());
+
+mazeFileInput.addEventListener('change', () => {
+    if (mazeFileInput.files.length > 0) {
+        importMazeFile(mazeFileInput.files[0]);
+    }
+    mazeFileInput.value = ''; // Allow picking the same file again
+});
+
+exportMazBtn.addEventListener('click', () => {
+    exportMaze(exportMazBtn, 'maze.maz', exportMazBinary, 'application/octet-stream');
+});
+
+exportAsciiBtn.addEventListener('click', () => {
+    exportMaze(exportAsciiBtn, 'maze.txt', exportAsciiMaze, 'text/plain');
+});
+
+// Drop a maze file onto the canvas to load it
+canvas.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    canvas.classList.add('drag-over');
+});
+
+canvas.addEventListener('dragleave', () => {
+    canvas.classList.remove('drag-over');
+});
+
+canvas.addEventListener('drop', (event) => {
+    event.preventDefault();
+    canvas.classList.remove('drag-over');
+    if (event.dataTransfer.files.length > 0) {
+        importMazeFile(event.dataTransfer.files[0]);
+    }
+});
+
+// Export: PNG snapshots of the maze, and replays rendered to an animated GIF in the
+// browser or recorded from the canvas as WebM
+const exportPngBtn = document.getElementById('exportPngBtn');
+const exportGifBtn = document.getElementById('exportGifBtn');
+const exportWebmBtn = document.getElementById('exportWebmBtn');
+const exportFpsInput = document.getElementById('exportFpsInput');
+const exportOverlaysToggle = document.getElementById('exportOverlaysToggle');
+const exportCaptionToggle = document.getElementById('exportCaptionToggle');
+const exportStatusSpan = document.getElementById('exportStatus');
+
+const DEFAULT_EXPORT_FPS = 15;
+const MAX_EXPORT_FRAMES = 600; // Long episodes skip steps to stay under this
+const GIF_MAX_SIZE = 480; // GIF frames are encoded on the main thread, so keep them small
+const FINAL_FRAME_HOLD = 1500; // Extra time on the last frame before the animation loops
+
+const getExportFps = () => {
+    return Math.max(1, Math.min(60, Math.round(Number(exportFpsInput.value)) || DEFAULT_EXPORT_FPS));
+};
+
+const wait = (milliseconds) => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+// The episode open in the replay panel, else the best leaderboard run, else the latest recording
+const getExportEpisode = () => {
+    if (replayEntry) return replayEntry;
+    return successfulRunsData.find(run => run.recording) ?? recentRecordings[recentRecordings.length - 1] ?? null;
+};
+
+// First caption line: the agent and how its training is going
+const getStatsCaption = () => {
+    const best = bestTime === Infinity ? '-' : bestTime;
+    const optimal = optimalSteps === Infinity ? '-' : optimalSteps;
+    return `${AGENTS[ai.type].name} · Gen ${trainer.episode} · Best ${best} steps (optimal ${optimal}) · ` +
+        `Success ${formatPercent(getSuccessRate(episodeResults, SUCCESS_RATE_WINDOW))}`;
+};
+
+// Second caption line of a replay frame: which episode, how far along and the reward so far
+const getReplayCaption = (entry, episodeReplay) => {
+    const reward = entry.recording.steps.slice(0, episodeReplay.position).reduce((sum, step) => sum + step.reward, 0);
+    const name = entry.name ? ` (${entry.name})` : '';
+    return `Replay of Gen ${entry.generation ?? entry.episode}${name} · Step ${episodeReplay.position} / ${episodeReplay.length} · ` +
+        `Reward ${reward.toFixed(1)}`;
+};
+
+// Caption band along the bottom of a frame
+const drawCaption = (context, lines) => {
+    const { width, height } = context.canvas;
+    const fontSize = Math.max(10, Math.round(width / 45));
+    const lineHeight = Math.round(fontSize * 1.4);
+    const bandHeight = lineHeight * lines.length + fontSize;
+    context.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    context.fillRect(0, height - bandHeight, width, bandHeight);
+    context.fillStyle = '#ffffff';
+    context.font = `${fontSize}px monospace`;
+    context.textBaseline = 'top';
+    context.textAlign = 'left';
+    lines.forEach((line, index) => {
+        context.fillText(line, fontSize / 2, height - bandHeight + fontSize / 2 + index * lineHeight);
+    });
+};
+
+// Draw the maze and mouse on any canvas, on black, with the overlays and caption if chosen
+const drawExportFrame = (context, captionLines) => {
+    const { width, height } = context.canvas;
+    maze.draw(context);
+    context.save();
+    maze.applyViewTransform(context);
+    if (exportOverlaysToggle.checked) policyOverlay.draw(context, maze, ai, getOverlayLayers());
+    mouse.draw(context, mouseLogo);
+    context.restore();
+
+    // The maze leaves the margins transparent
+    context.globalCompositeOperation = 'destination-over';
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, width, height);
+    context.globalCompositeOperation = 'source-over';
+
+    if (exportCaptionToggle.checked) drawCaption(context, captionLines);
+};
+
+// Replay positions that become frames: every step, or evenly spaced ones for long episodes
+const getExportPositions = (length) => {
+    const stride = Math.ceil((length + 1) / MAX_EXPORT_FRAMES);
+    const positions = [];
+    for (let position = 0; position < length; position += stride) positions.push(position);
+    positions.push(length);
+    return positions;
+};
+
+// Controls that would move the mouse or replace the maze, agent or trainer while an export
+// is drawing frames over several animation frames
+const getExportLockedControls = () => [
+    exportPngBtn, exportGifBtn, exportWebmBtn,
+    newMazeBtn, resetBtn, playModeBtn, editModeBtn, watchToggle, importMazeBtn,
+    agentSelect, explorationSelect, encodingSelect,
+    loadBtn, importModelBtn, ...libraryEntriesBody.querySelectorAll('button')
+];
+
+const beginExport = () => {
+    stopAnimation();
+    setEditMode(false);
+    isPlayMode = false;
+    isExporting = true;
+    getExportLockedControls().forEach(control => { control.disabled = true; });
+    updateModeIndicator();
+};
+
+const endExport = () => {
+    isExporting = false;
+    getExportLockedControls().forEach(control => { control.disabled = false; });
+    exportStatusSpan.textContent = '';
+    trainer.startEpisode();
+    updateModeIndicator();
+    updateStats();
+    draw();
+};
+
+const exportPng = () => {
+    try {
+        const snapshot = document.createElement('canvas');
+        snapshot.width = canvas.width;
+        snapshot.height = canvas.height;
+        drawExportFrame(snapshot.getContext('2d'), [getStatsCaption(), `Gen ${trainer.episode} · Step ${mouse.steps}`]);
+        snapshot.toBlob(blob => downloadFile(`micromouse-gen-${trainer.episode}.png`, blob, 'image/png'), 'image/png');
+        showButtonFeedback(exportPngBtn, '✅ Saved!', '#4CAF50');
+    } catch (error) {
+        console.error('Failed to export PNG:', error);
+        showButtonFeedback(exportPngBtn, '❌ Export failed', '#f44336');
+    }
+};
+
+// Render every frame off screen and encode it, yielding now and then so the page can show progress
+const exportGif = async (entry) => {
+    const scale = Math.min(1, GIF_MAX_SIZE / Math.max(canvas.width, canvas.height));
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = Math.round(canvas.width * scale);
+    frameCanvas.height = Math.round(canvas.height * scale);
+    const frameContext = frameCanvas.getContext('2d', { willReadFrequently: true });
+
+    const encoder = new GifEncoder(frameCanvas.width, frameCanvas.height);
+    const episodeReplay = new EpisodeReplay(mouse, entry.recording);
+    const positions = getExportPositions(episodeReplay.length);
+    const delay = 1000 / getExportFps();
+    for (const [index, position] of positions.entries()) {
+        episodeReplay.seek(position);
+        drawExportFrame(frameContext, [getStatsCaption(), getReplayCaption(entry, episodeReplay)]);
+        const isLast = index === positions.length - 1;
+        encoder.addFrame(frameContext.getImageData(0, 0, frameCanvas.width, frameCanvas.height).data,
+            isLast ? delay + FINAL_FRAME_HOLD : delay);
+        if (index % 10 === 0) {
+            exportStatusSpan.textContent = `Encoding frame ${index + 1} / ${positions.length}`;
+            await wait(0);
+        }
+    }
+    return new Blob([encoder.finish()], { type: 'image/gif' });
+};
+
+// Play the replay on the maze canvas in real time while MediaRecorder captures it
+const exportWebm = async (entry) => {
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('This browser cannot record WebM');
+
+    const fps = getExportFps();
+    const stream = canvas.captureStream(fps);
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    });
+    const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve));
+
+    const episodeReplay = new EpisodeReplay(mouse, entry.recording);
+    const positions = getExportPositions(episodeReplay.length);
+    recorder.start();
+    try {
+        for (const [index, position] of positions.entries()) {
+            episodeReplay.seek(position);
+            drawExportFrame(ctx, [getStatsCaption(), getReplayCaption(entry, episodeReplay)]);
+            exportStatusSpan.textContent = `Recording frame ${index + 1} / ${positions.length}`;
+            await wait(1000 / fps);
+        }
+        await wait(FINAL_FRAME_HOLD);
+    } finally {
+        // Also on failure: the export only ends once nothing records the canvas any more
+        recorder.stop();
+        await stopped;
+        stream.getTracks().forEach(track => track.stop());
+    }
+    return new Blob(chunks, { type: 'video/webm' });
+};
+
+const exportReplay = async (button, extension, render) => {
+    if (isExporting) return;
+    const entry = getExportEpisode();
+    if (!entry) {
+        showButtonFeedback(button, '❌ No recorded episode', '#f44336');
+        return;
+    }
+
+    beginExport();
+    try {
+        const file = await render(entry);
+        downloadFile(`micromouse-gen-${entry.generation ?? entry.episode}.${extension}`, file, file.type);
+        showButtonFeedback(button, '✅ Saved!', '#4CAF50');
+    } catch (error) {
+        console.error(`Failed to export ${extension.toUpperCase()}:`, error);
+        showButtonFeedback(button, '❌ ' + error.message, '#f44336');
+    } finally {
+        endExport();
+    }
+};
+
+exportPngBtn.addEventListener('click', exportPng);
+exportGifBtn.addEventListener('click', () => exportReplay(exportGifBtn, 'gif', exportGif));
+exportWebmBtn.addEventListener('click', () => {
+    if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+        showButtonFeedback(exportWebmBtn, '❌ Not supported here', '#f44336');
+        return;
+    }
+    exportReplay(exportWebmBtn, 'webm', exportWebm);
+});
+
+// Hyperparameter sweep: fresh agents train with every configuration on a few seeded mazes
+// in a Web Worker, and the results table can hand any of them to the live agent
+const runSweepBtn = document.getElementById('runSweepBtn');
+const applyBestSweepBtn = document.getElementById('applyBestSweepBtn');
+const sweepStatusSpan = document.getElementById('sweepStatus');
+const sweepModeSelect = document.getElementById('sweepModeSelect');
+const sweepSamplesInput = document.getElementById('sweepSamplesInput');
+const sweepMazesInput = document.getElementById('sweepMazesInput');
+const sweepEpisodesInput = document.getElementById('sweepEpisodesInput');
+const sweepTable = document.getElementById('sweepTable');
+const sweepResultsBody = document.getElementById('sweepResults');
+// Inputs listing the values to try for each hyperparameter
+const sweepValueInputs = {
+    learningRate: document.getElementById('sweepLearningRateInput'),
+    discountFactor: document.getElementById('sweepDiscountFactorInput'),
+    explorationRate: document.getElementById('sweepExplorationRateInput'),
+    explorationDecay: document.getElementById('sweepExplorationDecayInput'),
+    minExplorationRate: document.getElementById('sweepMinExplorationRateInput')
+};
+
+let sweepWorker = null;
+let sweepResults = [];
+let sweepSort = null; // Column picked in the table header as { key, descending }; best first until then
+
+// Values typed as a comma-separated list, e.g. "0.1, 0.2, 0.5"
+const readSweepValues = (name) => {
+    const input = sweepValueInputs[name];
+    const values = input.value.split(',').filter(value => value.trim()).map(Number);
+    if (values.length === 0 || values.some(value => !Number.isFinite(value))) {
+        throw new Error(`Invalid ${input.labels[0].textContent} values`);
+    }
+    return values;
+};
+
+// Read a whole number from a sweep input, kept within its min/max attributes
+const readSweepCount = (input) => {
+    const value = Math.round(Number(input.value)) || Number(input.min);
+    return Math.max(Number(input.min), Math.min(Number(input.max), value));
+};
+
+// The maze settings above with consecutive seeds, so a sweep can be repeated exactly
+const createSweepMazes = () => {
+    const options = getMazeOptions();
+    return Array.from({ length: readSweepCount(sweepMazesInput) }, (_, index) =>
+        new Maze(options.width, options.height, CELL_SIZE, { ...options, seed: (options.seed + index) >>> 0 }).serialize()
+    );
+};
+
+const startSweep = () => {
+    let configurations;
+    try {
+        const space = Object.fromEntries(SWEEP_PARAMETERS.map(name => [name, readSweepValues(name)]));
+        configurations = sweepModeSelect.value === 'random'
+            ? createRandomConfigurations(space, readSweepCount(sweepSamplesInput), randomSeed())
+            : createGridConfigurations(space);
+    } catch (error) {
+        console.error('Invalid sweep settings:', error);
+        showButtonFeedback(runSweepBtn, '❌ ' + error.message, '#f44336');
+        return;
+    }
+
+    // Every run uses the algorithm, exploration, state and reward settings of the live agent
+    const settings = {
+        agentType: agentSelect.value,
+        hyperparameters: { ...hyperparameters },
+        agentOptions: {
+            seed: readSeed(agentSeedInput),
+            exploration: explorationSelect.value,
+            encoding: encodingSelect.value,
+            rewards: readRewardProfile(),
+            planningSteps: getPlanningSteps()
+        },
+        episodes: readSweepCount(sweepEpisodesInput),
+        maxSteps: getMaxEpisodeSteps()
+    };
+
+    const worker = new Worker(new URL('./sweep-worker.js', import.meta.url), { type: 'module' });
+    worker.addEventListener('message', (event) => handleSweepMessage(worker, event.data));
+    worker.addEventListener('error', (event) => {
+        console.error('Hyperparameter sweep failed:', event.message);
+        if (worker === sweepWorker) finishSweep('❌ Sweep failed');
+    });
+    worker.postMessage({ type: 'start', configurations, mazes: createSweepMazes(), settings });
+
+    sweepWorker = worker;
+    sweepResults = [];
+    sweepSort = null;
+    runSweepBtn.textContent = '⏹ Stop Sweep';
+    sweepStatusSpan.textContent = `${configurations.length} configurations`;
+    renderSweepResults();
+};
+
+// End the sweep; results found so far stay in the table
+const finishSweep = (status) => {
+    sweepWorker.terminate();
+    sweepWorker = null;
+    runSweepBtn.textContent = '🔬 Run Sweep';
+    sweepStatusSpan.textContent = status;
+};
+
+const handleSweepMessage = (worker, data) => {
+    if (worker !== sweepWorker) return;
+
+    if (data.type === 'progress') {
+        sweepStatusSpan.textContent = `Run ${data.runs} / ${data.totalRuns}`;
+    } else if (data.type === 'result') {
+        sweepResults.push(data);
+        renderSweepResults();
+    } else if (data.type === 'done') {
+        finishSweep(`✅ ${sweepResults.length} configurations tested`);
+    }
+};
+
+const getBestSweepResult = () => [...sweepResults].sort(compareSweepResults)[0] ?? null;
+
+// Results in the order of the column picked in the header, best first by default
+const getSortedSweepResults = () => {
+    if (!sweepSort) return [...sweepResults].sort(compareSweepResults);
+    const { key, descending } = sweepSort;
+    const value = (result) => key in result.configuration ? result.configuration[key] : result[key];
+    return [...sweepResults].sort((a, b) => (descending ? value(b) - value(a) : value(a) - value(b)));
+};
+
+const renderSweepResults = () => {
+    const best = getBestSweepResult();
+    sweepTable.hidden = sweepResults.length === 0;
+    applyBestSweepBtn.disabled = !best;
+
+    sweepTable.querySelectorAll('th[data-sort]').forEach(header => {
+        const isSorted = sweepSort?.key === header.dataset.sort;
+        header.classList.toggle('sorted-asc', isSorted && !sweepSort.descending);
+        header.classList.toggle('sorted-desc', isSorted && sweepSort.descending);
+    });
+
+    sweepResultsBody.innerHTML = '';
+    getSortedSweepResults().forEach(result => {
+        const row = document.createElement('tr');
+        row.classList.toggle('best', result === best);
+        const cells = [
+            ...SWEEP_PARAMETERS.map(name => result.configuration[name]),
+            result.episodesToFirstSuccess.toFixed(1),
+            result.finalAverageSteps.toFixed(1),
+            formatPercent(result.successRate),
+            `${result.mazesSolved} / ${result.mazes}`
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        const applyButton = document.createElement('button');
+        applyButton.className = 'btn btn-secondary';
+        applyButton.textContent = 'Apply';
+        applyButton.addEventListener('click', () => applySweepConfiguration(result.configuration, applyButton));
+        const actionCell = document.createElement('td');
+        actionCell.appendChild(applyButton);
+        row.appendChild(actionCell);
+
+        sweepResultsBody.appendChild(row);
+    });
+};
+
+// Hand a configuration to the live agent through the hyperparameter panel
+const applySweepConfiguration = (configuration, button) => {
+    hyperparameters = { ...hyperparameters, ...configuration };
+    showHyperparameters();
+    SWEEP_PARAMETERS.forEach(applyHyperparameter);
+    saveHyperparameters(Object.keys(configuration));
+    showButtonFeedback(button, '✅ Applied!', '#4CAF50');
+};
+
+runSweepBtn.addEventListener('click', () => {
+    if (sweepWorker) {
+        finishSweep(`⏹ Stopped after ${sweepResults.length} configurations`);
+    } else {
+        startSweep();
+    }
+});
+
+applyBestSweepBtn.addEventListener('click', () => {
+    const best = getBestSweepResult();
+    if (best) applySweepConfiguration(best.configuration, applyBestSweepBtn);
+});
+
+// Clicking a column header sorts by it; clicking it again flips the order
+sweepTable.querySelectorAll('th[data-sort]').forEach(header => {
+    header.addEventListener('click', () => {
+        const key = header.dataset.sort;
+        sweepSort = { key, descending: sweepSort?.key === key ? !sweepSort.descending : false };
+        renderSweepResults();
+    });
+});
+
+// Models: the agent with its settings, the maze and the training counts, kept in the
+// model library (IndexedDB) or downloaded as a .json file
 const saveBtn = document.getElementById('saveBtn');
 const loadBtn = document.getElementById('loadBtn');
+const downloadModelBtn = document.getElementById('downloadModelBtn');
+const importModelBtn = document.getElementById('importModelBtn');
+const modelFileInput = document.getElementById('modelFileInput');
+const libraryPanel = document.getElementById('libraryPanel');
+const modelNameInput = document.getElementById('modelNameInput');
+const saveToLibraryBtn = document.getElementById('saveToLibraryBtn');
+const libraryStatus = document.getElementById('libraryStatus');
+const libraryTable = document.getElementById('libraryTable');
+const libraryEntriesBody = document.getElementById('libraryEntries');
 
-saveBtn.addEventListener('click', () => {
-    if (ai.saveQTable()) {
-        // Visual feedback for successful save
-        const originalText = saveBtn.textContent;
-        saveBtn.textContent = '✅ Saved!';
-        saveBtn.style.backgroundColor = '#4CAF50';
-        setTimeout(() => {
-            saveBtn.textContent = originalText;
-            saveBtn.style.backgroundColor = '';
-        }, 2000);
-    }
-});
-
-loadBtn.addEventListener('click', () => {
-    if (ai.loadQTableFromStorage()) {
-        // Visual feedback for successful load
-        const originalText = loadBtn.textContent;
-        loadBtn.textContent = '✅ Loaded!';
-        loadBtn.style.backgroundColor = '#4CAF50';
-        setTimeout(() => {
-            loadBtn.textContent = originalText;
-            loadBtn.style.backgroundColor = '';
-        }, 2000);
-        
-        // Reset mouse but keep the loaded AI
-        resetMouseAndAI(false);
+const library = new ModelLibrary();
+let libraryEntries = []; // Library entries as last listed, newest first
+let libraryUpdate = Promise.resolve(); // Library refreshes run one after another
+let storedModelProblem = null; // Why the old localStorage save couldn't move into the library yet
+
+// Training counts saved with a model
+const getTrainingSummary = () => ({
+    generation: trainer.episode,
+    successfulRuns,
+    failedRuns,
+    totalSteps,
+    bestSteps: bestTime === Infinity ? null : bestTime,
+    optimalSteps: optimalSteps === Infinity ? null : optimalSteps,
+    statesExplored: ai.getStatesExplored()
+});
+
+// Put a model's settings on the controls, so a reset or new maze keeps training the same kind of agent
+const showModelSettings = (model) => {
+    agentSelect.value = model.agent.type;
+    if (model.exploration.strategy) explorationSelect.value = model.exploration.strategy.type;
+    // Custom feature lists have no option; the agent keeps its encoding until the next reset
+    if (typeof model.agent.encoding === 'string') encodingSelect.value = model.agent.encoding;
+    if (model.agent.rewards) {
+        showRewardProfile(model.agent.rewards);
+        rewardProfileSelect.value = Object.keys(REWARD_PROFILES)
+            .find(id => REWARD_PROFILES[id].name === model.agent.rewards.name) ?? 'custom';
+    }
+    if (model.hyperparameters.planningSteps !== undefined) {
+        planningStepsInput.value = model.hyperparameters.planningSteps;
+    }
+    // Shown for the loaded agent only: the saved slider defaults stay as the user left them
+    for (const name of Object.keys(getAgentHyperparameters())) {
+        hyperparameters[name] = model.hyperparameters[name];
+    }
+    showHyperparameters();
+};
+
+// Switch to a model's maze and agent and carry on from its training counts
+const useModel = (model) => {
+    // Build the agent first, so a model that doesn't load leaves everything as it was
+    const agent = createAgentFromModel(model);
+    showModelSettings(model);
+    useMaze(model.maze ? Maze.deserialize(model.maze, CELL_SIZE) : maze, agent);
+
+    const { training } = model;
+    trainer.episode = training.generation ?? 0;
+    successfulRuns = training.successfulRuns ?? 0;
+    failedRuns = training.failedRuns ?? 0;
+    totalSteps = training.totalSteps ?? 0;
+    bestTime = training.bestSteps ?? Infinity;
+    updateMetrics();
+    updateStats();
+};
+
+// Move the single localStorage save of earlier versions into the library. Saves from before
+// model files only fit the current agent type, so they stay put until one that fits is selected.
+const migrateStoredModel = async () => {
+    const saved = localStorage.getItem(MODEL_STORAGE_KEY);
+    if (!saved || !ai) return;
+    try {
+        const data = JSON.parse(saved);
+        const model = data?.format ? validateModel(data) : migrateLegacyModel(data, ai, maze);
+        await library.save('Saved progress', model);
+        localStorage.removeItem(MODEL_STORAGE_KEY);
+        storedModelProblem = null;
+    } catch (error) {
+        // Retried on every refresh, so shown in the panel rather than logged each time
+        storedModelProblem = error.message;
+    }
+};
+
+// Re-read the library and show it. Refreshes queue up, so an old save is only migrated once.
+const refreshLibrary = () => {
+    libraryUpdate = libraryUpdate.then(async () => {
+        await migrateStoredModel();
+        try {
+            libraryEntries = await library.list();
+            renderLibrary();
+        } catch (error) {
+            console.error('Failed to list the model library:', error);
+            libraryStatus.textContent = '❌ ' + error.message;
+        }
+    });
+    return libraryUpdate;
+};
+
+const formatModelSize = (characters) => {
+    if (characters < 1024) return `${characters} B`;
+    if (characters < 1024 * 1024) return `${(characters / 1024).toFixed(1)} KB`;
+    return `${(characters / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const formatMazeSummary = (summary) => {
+    if (!summary) return '-';
+    const size = `${summary.width}×${summary.height}`;
+    return summary.seed === null ? size : `${size} · seed ${summary.seed}`;
+};
+
+const renderLibrary = () => {
+    libraryTable.hidden = libraryEntries.length === 0;
+    libraryStatus.textContent = libraryEntries.length === 0 ? 'No saved models yet'
+        : `${libraryEntries.length} saved model${libraryEntries.length === 1 ? '' : 's'}`;
+    if (storedModelProblem) {
+        libraryStatus.textContent += ` · ⚠️ Older saved progress not moved in: ${storedModelProblem}`;
+    }
+
+    libraryEntriesBody.innerHTML = '';
+    libraryEntries.forEach(entry => {
+        const row = document.createElement('tr');
+
+        // The name is edited in place to rename the model
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = entry.name;
+        nameInput.title = `${AGENTS[entry.agentType]?.name ?? entry.agentType} · edit to rename`;
+        nameInput.addEventListener('change', () => changeLibraryEntry(() => {
+            const name = nameInput.value.trim();
+            return name ? library.rename(entry.id, name) : Promise.resolve();
+        }));
+        const nameCell = document.createElement('td');
+        nameCell.appendChild(nameInput);
+        row.appendChild(nameCell);
+
+        const cells = [
+            new Date(entry.savedAt).toLocaleString(),
+            formatMazeSummary(entry.maze),
+            entry.generation,
+            entry.bestSteps ?? '-',
+            formatModelSize(entry.size)
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        const actionCell = document.createElement('td');
+        const addAction = (label, title, onClick) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', () => onClick(button));
+            actionCell.appendChild(button);
+        };
+        addAction('📂 Load', 'Switch to this model and its maze', (button) => loadFromLibrary(entry.id, button));
+        addAction('📄', 'Duplicate', () => changeLibraryEntry(() => library.duplicate(entry.id)));
+        addAction('🗑️', 'Delete', () => {
+            if (confirm(`Delete "${entry.name}" from the model library?`)) {
+                changeLibraryEntry(() => library.delete(entry.id));
+            }
+        });
+        row.appendChild(actionCell);
+
+        libraryEntriesBody.appendChild(row);
+    });
+};
+
+// Rename, duplicate or delete an entry, then show the library as it is now
+const changeLibraryEntry = async (change) => {
+    try {
+        await change();
+    } catch (error) {
+        console.error('Failed to change the model library:', error);
+    }
+    await refreshLibrary();
+};
+
+// Entries are named after the agent and generation unless a name is given
+const saveToLibrary = async (button) => {
+    try {
+        const name = modelNameInput.value.trim() || `${AGENTS[ai.type].name} · generation ${trainer.episode}`;
+        await library.save(name, createModel(ai, maze, getTrainingSummary()));
+        modelNameInput.value = '';
+        showButtonFeedback(button, '✅ Saved!', '#4CAF50');
+    } catch (error) {
+        console.error('Failed to save model:', error);
+        showButtonFeedback(button, '❌ Not saved', '#f44336');
+    }
+    await refreshLibrary();
+};
+
+const loadFromLibrary = async (id, button) => {
+    // Library rows redrawn during an export come back enabled
+    if (isExporting) return;
+    try {
+        useModel(await library.load(id));
+        showButtonFeedback(button, '✅ Loaded!', '#4CAF50');
+    } catch (error) {
+        console.error('Failed to load model:', error);
+        showButtonFeedback(button, '❌ ' + error.message, '#f44336');
+    }
+};
+
+const importModelFile = async (file) => {
+    // A file picker opened before an export started can still return during it
+    if (isExporting) return;
+    try {
+        useModel(parseModel(await file.text()));
+        showButtonFeedback(importModelBtn, '✅ Imported!', '#4CAF50');
+    } catch (error) {
+        console.error(`Failed to import model from ${file.name}:`, error);
+        showButtonFeedback(importModelBtn, '❌ ' + error.message, '#f44336');
+    }
+};
+
+saveBtn.addEventListener('click', () => saveToLibrary(saveBtn));
+saveToLibraryBtn.addEventListener('click', () => saveToLibrary(saveToLibraryBtn));
+
+// Load Progress picks up the newest model in the library
+loadBtn.addEventListener('click', async () => {
+    await refreshLibrary();
+    if (libraryEntries.length > 0) {
+        loadFromLibrary(libraryEntries[0].id, loadBtn);
+    } else {
+        showButtonFeedback(loadBtn, '❌ Nothing saved yet', '#f44336');
+    }
+});
+
+libraryPanel.addEventListener('toggle', () => {
+    if (libraryPanel.open) refreshLibrary();
+});
+
+downloadModelBtn.addEventListener('click', () => {
+    try {
+        const model = createModel(ai, maze, getTrainingSummary());
+        downloadFile(`micromouse-${model.agent.type}-gen${model.training.generation}.json`,
+            JSON.stringify(model), 'application/json');
+    } catch (error) {
+        console.error('Failed to download model:', error);
+        showButtonFeedback(downloadModelBtn, '❌ ' + error.message, '#f44336');
     }
 });
 
+importModelBtn.addEventListener('click', () => modelFileInput.click());
+
+modelFileInput.addEventListener('change', () => {
+    if (modelFileInput.files.length > 0) {
+        importModelFile(modelFileInput.files[0]);
+    }
+    modelFileInput.value = ''; // Allow picking the same file again
+});
+
 // Keyboard controls for Play Mode
 document.addEventListener('keydown', (event) => {
-    // Only respond in play mode and when not paused
-    if (!isPlayMode || isPaused) return;
+    // Only respond in play mode and when not paused or exporting
+    if (!isPlayMode || isPaused || isExporting) return;
 
     // Prevent default scrolling for arrow keys
     if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(event.key)) {
@@ -406,20 +2010,23 @@ document.addEventListener('keydown', (event) => {
     }
 
     if (action !== -1) {
-        const nextPosition = mouse.getNextPosition(action);
-        if (maze.isValidPosition(nextPosition.x, nextPosition.y)) {
-            mouse.move(action);
-            // Update stats and draw after a valid player move
-            updateStats();
-            draw();
+        // Always attempt the move, so bumping into a wall counts as an action as it does in training
+        const moved = mouse.move(action);
+        updateStats();
+        draw();
 
-            // Check for end reached in Play Mode
-            if (mouse.isAtEnd()) {
-                handleSuccessfulRun(); // Use the same success handler
-            }
+        // Check for end reached in Play Mode
+        if (moved && mouse.isAtEnd()) {
+            handleSuccessfulRun(); // Use the same success handler
         }
     }
 });
 
 // Initial setup: preload assets and start
+savedHyperparameters = loadHyperparameters();
+hyperparameters = { ...savedHyperparameters };
+showHyperparameters();
+// (a restored custom profile keeps the values the browser put back in the inputs)
+const initialRewardProfile = REWARD_PROFILES[rewardProfileSelect.value];
+if (initialRewardProfile) showRewardProfile(initialRewardProfile);
 preloadAssets();
\ No newline at end of file
@@ -1,22 +1,123 @@
+import { toRandomSource } from './random.js';
+import { MAZE_ALGORITHMS, braid, applyCompetitionLayout } from './generators.js';
+
 // Class representing the maze grid and its generation/drawing logic.
 export class Maze {
     /**
      * @param {number} width - The width of the maze grid (number of cells).
      * @param {number} height - The height of the maze grid (number of cells).
      * @param {number} cellSize - The size of each cell in pixels when drawing.
+     * @param {object} options - Optional settings.
+     * @param {number|string} options.seed - Seed for reproducible generation. Random if omitted.
+     * @param {Function|SeededRandom} options.random - Injectable PRNG, used instead of a seed.
+     * @param {string} options.algorithm - Generation algorithm id from MAZE_ALGORITHMS. Defaults to 'backtracker'.
+     * @param {number} options.braid - Fraction of dead ends (0-1) to remove afterwards to create loops.
+     * @param {string} options.mode - 'classic' (corner to corner) or 'competition' (micromouse field:
+     *                                start in the bottom-left corner facing north, 2x2 goal in the center).
+     * @param {number[][]} options.grid - Existing grid to use instead of generating one (e.g. an imported maze).
+     * @param {{x: number, y: number}} options.start - Overrides the default start position.
+     * @param {{x: number, y: number, width: number, height: number}} options.goal - Overrides the default goal region.
      */
-    constructor(width, height, cellSize) {
+    constructor(width, height, cellSize, options = {}) {
         this.width = width;
         this.height = height;
         this.cellSize = cellSize;
+        this.random = toRandomSource(options.random ?? options.seed);
+        this.seed = this.random.seed; // null when an external PRNG was injected
+        this.algorithm = MAZE_ALGORITHMS[options.algorithm] ? options.algorithm : 'backtracker';
+        this.braid = Math.max(0, Math.min(1, options.braid ?? 0));
+        this.mode = options.mode === 'competition' ? 'competition' : 'classic';
         this.grid = []; // 2D array to store maze cells (0 for path, 1 for wall)
-        this.start = { x: 1, y: 1 }; // Start position of the maze
-        this.end = { x: width - 2, y: height - 2 }; // End position of the maze
-        this.generate(); // Generate the maze when a new Maze object is created
+
+        if (this.mode === 'competition') {
+            // Cells sit on odd grid coordinates, so a 16x16 field is a 33x33 grid
+            const columns = (width - 1) / 2;
+            const rows = (height - 1) / 2;
+            const centerX = Maze.centerRange(columns);
+            const centerY = Maze.centerRange(rows);
+            this.start = { x: 1, y: height - 2 }; // Bottom-left corner
+            this.startDirection = 3; // Facing north
+            this.goal = { x: centerX.from, y: centerY.from, width: centerX.to - centerX.from + 1, height: centerY.to - centerY.from + 1 };
+        } else {
+            this.start = { x: 1, y: 1 }; // Start position of the maze
+            this.startDirection = 0; // Facing right
+            this.goal = { x: width - 2, y: height - 2, width: 1, height: 1 };
+        }
+
+        if (options.start) this.start = { x: options.start.x, y: options.start.y };
+        if (options.goal) this.goal = { ...options.goal };
+
+        // Representative end position, the middle of the goal region
+        this.end = {
+            x: this.goal.x + Math.floor(this.goal.width / 2),
+            y: this.goal.y + Math.floor(this.goal.height / 2)
+        };
+
+        if (options.grid) {
+            this.grid = options.grid.map(row => [...row]);
+            this.seed = null; // Not reproducible from a seed
+        } else {
+            this.generate(); // Generate the maze when a new Maze object is created
+        }
+    }
+
+    /**
+     * Plain-object copy of the maze layout that survives structured cloning
+     * (e.g. to hand the maze to a Web Worker).
+     * @returns {object} Serialized maze.
+     */
+    serialize() {
+        return {
+            width: this.width,
+            height: this.height,
+            mode: this.mode,
+            seed: this.seed,
+            algorithm: this.algorithm,
+            braid: this.braid,
+            grid: this.grid.map(row => [...row]),
+            start: { ...this.start },
+            startDirection: this.startDirection,
+            goal: { ...this.goal }
+        };
+    }
+
+    /**
+     * Rebuilds a maze from serialize() output without regenerating it.
+     * @param {object} data - Serialized maze.
+     * @param {number} cellSize - The size of each cell in pixels when drawing.
+     * @returns {Maze} The restored maze.
+     */
+    static deserialize(data, cellSize) {
+        const maze = new Maze(data.width, data.height, cellSize, {
+            mode: data.mode,
+            algorithm: data.algorithm,
+            braid: data.braid,
+            grid: data.grid,
+            start: data.start,
+            goal: data.goal
+        });
+        maze.seed = data.seed ?? null;
+        maze.startDirection = data.startDirection ?? maze.startDirection;
+        return maze;
+    }
+
+    /**
+     * Finds the grid span of the center cell(s) along one axis: two cells for an
+     * even cell count (the classic 2x2 micromouse goal), one for an odd count.
+     * @param {number} cells - Number of cells along the axis.
+     * @returns {{from: number, to: number}} First and last grid coordinate of the center.
+     */
+    static centerRange(cells) {
+        const low = Math.floor((cells - 1) / 2);
+        const high = Math.floor(cells / 2);
+        return { from: low * 2 + 1, to: high * 2 + 1 };
     }
 
-    // Generates the maze using a recursive backtracking algorithm.
+    // Generates the maze using the selected algorithm (recursive backtracking by default).
+    // The PRNG is rewound first so the same seed always yields the same maze.
     generate() {
+        this.random.reset();
+
         // Initialize grid with walls
         for (let y = 0; y < this.height; y++) {
             this.grid[y] = [];
@@ -25,8 +126,13 @@ export class Maze {
             }
         }
 
-        // Use recursive backtracking to generate maze
-        this.carvePath(this.start.x, this.start.y);
+        // Carve passages with the selected algorithm, then optionally braid in some loops
+        MAZE_ALGORITHMS[this.algorithm].generate(this);
+        braid(this, this.braid);
+
+        if (this.mode === 'competition') {
+            applyCompetitionLayout(this);
+        }
         
         // Ensure start and end are clear
         this.grid[this.start.y][this.start.x] = 0;
@@ -34,36 +140,82 @@ export class Maze {
     }
 
     /**
-     * Recursive function to carve paths in the maze.
-     * @param {number} x - The current x-coordinate.
-     * @param {number} y - The current y-coordinate.
+     * Carves paths in the maze with depth-first backtracking.
+     * Uses an explicit stack instead of recursion so large mazes can't overflow the call stack.
+     * Directions are shuffled when a cell is entered, matching the recursive order for a given seed.
+     * @param {number} startX - The x-coordinate to start carving from.
+     * @param {number} startY - The y-coordinate to start carving from.
      */
-    carvePath(x, y) {
-        this.grid[y][x] = 0; // Mark current cell as path
+    carvePath(startX, startY) {
+        this.grid[startY][startX] = 0; // Mark start cell as path
+        const stack = [{ x: startX, y: startY, directions: this.shuffledDirections(), next: 0 }];
+
+        while (stack.length > 0) {
+            const cell = stack[stack.length - 1];
+
+            // All directions tried: backtrack
+            if (cell.next >= cell.directions.length) {
+                stack.pop();
+                continue;
+            }
+
+            const [dx, dy] = cell.directions[cell.next++];
+            const newX = cell.x + dx;
+            const newY = cell.y + dy;
 
-        // Define possible directions (up, right, down, left)
+            if (newX > 0 && newX < this.width - 1 && newY > 0 && newY < this.height - 1 
+                && this.grid[newY][newX] === 1) {
+                // Carve path between current cell and new cell
+                this.grid[cell.y + dy/2][cell.x + dx/2] = 0;
+                this.grid[newY][newX] = 0;
+                stack.push({ x: newX, y: newY, directions: this.shuffledDirections(), next: 0 });
+            }
+        }
+    }
+
+    /**
+     * Returns the four carving directions (up, right, down, left) in random order.
+     * @returns {number[][]} Shuffled [dx, dy] offsets two cells away.
+     */
+    shuffledDirections() {
         const directions = [
             [0, -2], [2, 0], [0, 2], [-2, 0]
         ];
-        
-        // Shuffle directions
+
         for (let i = directions.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = this.random.nextInt(i + 1);
             [directions[i], directions[j]] = [directions[j], directions[i]];
         }
+        return directions;
+    }
 
-        // Try each direction
-        for (const [dx, dy] of directions) {
-            const newX = x + dx;
-            const newY = y + dy;
+    /**
+     * Calculates how the maze is scaled and centered to fit a canvas.
+     * @param {HTMLCanvasElement} canvas - The canvas the maze is drawn on.
+     * @returns {{scale: number, offsetX: number, offsetY: number}} The view transform.
+     */
+    getViewTransform(canvas) {
+        // Calculate scaling factors
+        const scaleX = canvas.width / (this.width * this.cellSize);
+        const scaleY = canvas.height / (this.height * this.cellSize);
+        const scale = Math.min(scaleX, scaleY);
+        
+        // Calculate the centered position
+        const offsetX = (canvas.width - this.width * this.cellSize * scale) / 2;
+        const offsetY = (canvas.height - this.height * this.cellSize * scale) / 2;
 
-            if (newX > 0 && newX < this.width - 1 && newY > 0 && newY < this.height - 1 
-                && this.grid[newY][newX] === 1) {
-                // Carve path between current cell and new cell
-                this.grid[y + dy/2][x + dx/2] = 0;
-                this.carvePath(newX, newY);
-            }
-        }
+        return { scale, offsetX, offsetY };
+    }
+
+    /**
+     * Applies the view transform to a context so anything drawn afterwards in
+     * cell coordinates (mouse, path, particles) lines up with the maze.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+     */
+    applyViewTransform(ctx) {
+        const { scale, offsetX, offsetY } = this.getViewTransform(ctx.canvas);
+        ctx.translate(offsetX, offsetY);
+        ctx.scale(scale, scale);
     }
 
     /**
@@ -77,18 +229,8 @@ export class Maze {
         // Save the current context state
         ctx.save();
 
-        // Calculate scaling factors
-        const scaleX = ctx.canvas.width / (this.width * this.cellSize);
-        const scaleY = ctx.canvas.height / (this.height * this.cellSize);
-        const scale = Math.min(scaleX, scaleY);
-        
-        // Calculate the centered position
-        const offsetX = (ctx.canvas.width - this.width * this.cellSize * scale) / 2;
-        const offsetY = (ctx.canvas.height - this.height * this.cellSize * scale) / 2;
-        
-        // Apply scaling and translate to center the maze
-        ctx.translate(offsetX, offsetY);
-        ctx.scale(scale, scale);
+        // Scale and center the maze so any grid size fits the canvas
+        this.applyViewTransform(ctx);
 
         // Draw maze background
         ctx.fillStyle = '#0a0a0a';
@@ -124,6 +266,11 @@ export class Maze {
             }
         }
 
+        // Competition fields are drawn as thin walls on an open floor
+        if (this.mode === 'competition') {
+            this.drawThinWalls(ctx);
+        }
+
         // Draw start and end points
         ctx.fillStyle = '#00ffff'; // Cyan start
         ctx.fillRect(
@@ -133,28 +280,220 @@ export class Maze {
             this.cellSize
         );
 
-        ctx.fillStyle = '#ffff00'; // Yellow end
+        ctx.fillStyle = '#ffff00'; // Yellow goal
         ctx.fillRect(
-            this.end.x * this.cellSize,
-            this.end.y * this.cellSize,
-            this.cellSize,
-            this.cellSize
+            this.goal.x * this.cellSize,
+            this.goal.y * this.cellSize,
+            this.goal.width * this.cellSize,
+            this.goal.height * this.cellSize
         );
 
-        // Add a border around the end cell
+        // Add a border around the goal region
         ctx.strokeStyle = '#ff00ff'; // Magenta border
         ctx.lineWidth = 3;
         ctx.strokeRect(
-            this.end.x * this.cellSize,
-            this.end.y * this.cellSize,
-            this.cellSize,
-            this.cellSize
+            this.goal.x * this.cellSize,
+            this.goal.y * this.cellSize,
+            this.goal.width * this.cellSize,
+            this.goal.height * this.cellSize
         );
 
         // Restore the context state
         ctx.restore();
     }
 
+    /**
+     * Redraws the wall squares of a competition field as thin wall segments and
+     * posts, so the grid reads like a real micromouse maze.
+     * @param {CanvasRenderingContext2D} ctx - Context already transformed to maze coordinates.
+     */
+    drawThinWalls(ctx) {
+        const size = this.cellSize;
+        const thickness = size * 0.35;
+        const inset = (size - thickness) / 2;
+
+        // Paint every wall square as floor first, then draw the walls on top
+        ctx.fillStyle = '#2a2a2a';
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.grid[y][x] === 1) {
+                    ctx.fillRect(x * size, y * size, size, size);
+                }
+            }
+        }
+
+        ctx.fillStyle = '#d32f2f'; // Red wall tops like a real field
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.grid[y][x] !== 1) continue;
+
+                if (x % 2 === 0 && y % 2 === 0) {
+                    // Post
+                    ctx.fillRect(x * size + inset, y * size + inset, thickness, thickness);
+                } else if (x % 2 === 0) {
+                    // Vertical wall between horizontally adjacent cells, joined to its posts
+                    ctx.fillRect(x * size + inset, y * size - inset, thickness, size + inset * 2);
+                } else {
+                    // Horizontal wall between vertically adjacent cells
+                    ctx.fillRect(x * size - inset, y * size + inset, size + inset * 2, thickness);
+                }
+            }
+        }
+    }
+
+    /**
+     * Checks if a position lies inside the goal region.
+     * @param {number} x - The x-coordinate.
+     * @param {number} y - The y-coordinate.
+     * @returns {boolean} True if (x, y) is part of the goal.
+     */
+    isGoal(x, y) {
+        return x >= this.goal.x && x < this.goal.x + this.goal.width &&
+               y >= this.goal.y && y < this.goal.y + this.goal.height;
+    }
+
+    /**
+     * Gets the offset from a position to the nearest square of the goal region.
+     * Zero on both axes when the position is inside the goal.
+     * @param {number} x - The x-coordinate.
+     * @param {number} y - The y-coordinate.
+     * @returns {{x: number, y: number}} Signed offset towards the goal.
+     */
+    getGoalOffset(x, y) {
+        const nearestX = Math.max(this.goal.x, Math.min(this.goal.x + this.goal.width - 1, x));
+        const nearestY = Math.max(this.goal.y, Math.min(this.goal.y + this.goal.height - 1, y));
+        return { x: nearestX - x, y: nearestY - y };
+    }
+
+    /**
+     * Gets the Manhattan distance from a position to the goal region.
+     * @param {number} x - The x-coordinate.
+     * @param {number} y - The y-coordinate.
+     * @returns {number} Distance in grid squares.
+     */
+    getGoalDistance(x, y) {
+        const offset = this.getGoalOffset(x, y);
+        return Math.abs(offset.x) + Math.abs(offset.y);
+    }
+
+    /**
+     * Computes the shortest walking distance from every open square to the goal
+     * region with a breadth-first search.
+     * @returns {number[][]} Distances indexed [y][x]; Infinity for walls and unreachable squares.
+     */
+    getDistancesToGoal() {
+        const distances = this.grid.map(row => row.map(() => Infinity));
+        const queue = [];
+
+        for (let y = this.goal.y; y < this.goal.y + this.goal.height; y++) {
+            for (let x = this.goal.x; x < this.goal.x + this.goal.width; x++) {
+                if (this.isValidPosition(x, y)) {
+                    distances[y][x] = 0;
+                    queue.push({ x, y });
+                }
+            }
+        }
+
+        for (let head = 0; head < queue.length; head++) {
+            const { x, y } = queue[head];
+            for (const [dx, dy] of [[1, 0], [0, 1], [-1, 0], [0, -1]]) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (this.isValidPosition(nx, ny) && distances[ny][nx] === Infinity) {
+                    distances[ny][nx] = distances[y][x] + 1;
+                    queue.push({ x: nx, y: ny });
+                }
+            }
+        }
+
+        return distances;
+    }
+
+    /**
+     * Checks whether the goal can still be reached from the start.
+     * @returns {boolean} True if a path exists.
+     */
+    isGoalReachable() {
+        return this.getDistancesToGoal()[this.start.y][this.start.x] !== Infinity;
+    }
+
+    /**
+     * Converts a point on the canvas (in canvas pixels) to the grid square under it.
+     * @param {HTMLCanvasElement} canvas - The canvas the maze is drawn on.
+     * @param {number} canvasX - Horizontal position in canvas pixels.
+     * @param {number} canvasY - Vertical position in canvas pixels.
+     * @returns {{x: number, y: number}|null} Grid coordinates, or null outside the maze.
+     */
+    canvasToGrid(canvas, canvasX, canvasY) {
+        const { scale, offsetX, offsetY } = this.getViewTransform(canvas);
+        const x = Math.floor((canvasX - offsetX) / (this.cellSize * scale));
+        const y = Math.floor((canvasY - offsetY) / (this.cellSize * scale));
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return null;
+        }
+        return { x, y };
+    }
+
+    /**
+     * Checks whether a square can be edited: the outer border, start and goal are fixed.
+     * @param {number} x - The x-coordinate.
+     * @param {number} y - The y-coordinate.
+     * @returns {boolean} True if the square may be turned into a wall or path.
+     */
+    isEditable(x, y) {
+        const isBorder = x <= 0 || y <= 0 || x >= this.width - 1 || y >= this.height - 1;
+        const isStart = x === this.start.x && y === this.start.y;
+        return !isBorder && !isStart && !this.isGoal(x, y);
+    }
+
+    /**
+     * Sets or clears a wall square (ignored for squares that aren't editable).
+     * @param {number} x - The x-coordinate.
+     * @param {number} y - The y-coordinate.
+     * @param {boolean} isWall - True to place a wall, false to open a path.
+     * @returns {boolean} True if the grid changed.
+     */
+    setWall(x, y, isWall) {
+        const value = isWall ? 1 : 0;
+        if (!this.isEditable(x, y) || this.grid[y][x] === value) {
+            return false;
+        }
+        this.grid[y][x] = value;
+        return true;
+    }
+
+    /**
+     * Moves the start to a square inside the border, opening it if it was a wall.
+     * @param {number} x - The x-coordinate.
+     * @param {number} y - The y-coordinate.
+     * @returns {boolean} True if the start moved.
+     */
+    setStart(x, y) {
+        if (!this.isEditable(x, y)) {
+            return false;
+        }
+        this.grid[y][x] = 0;
+        this.start = { x, y };
+        return true;
+    }
+
+    /**
+     * Replaces the goal region with a single square, opening it if it was a wall.
+     * @param {number} x - The x-coordinate.
+     * @param {number} y - The y-coordinate.
+     * @returns {boolean} True if the goal moved.
+     */
+    setGoal(x, y) {
+        const isBorder = x <= 0 || y <= 0 || x >= this.width - 1 || y >= this.height - 1;
+        if (isBorder || (x === this.start.x && y === this.start.y)) {
+            return false;
+        }
+        this.grid[y][x] = 0;
+        this.goal = { x, y, width: 1, height: 1 };
+        this.end = { x, y };
+        return true;
+    }
+
     /**
      * Checks if a given cell is a wall.
      * @param {number} x - The x-coordinate of the cell.
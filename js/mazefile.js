@@ -0,0 +1,302 @@
+import { Maze } from './maze.js';
+
+/**
+ * Maze file import/export for Micromouse AI
+ * Supports the two formats used by the competition maze archives:
+ *  - Binary .maz: one byte per cell, column by column starting at the bottom-left
+ *    (south-west) cell, with wall bits N=1, E=2, S=4, W=8. 256 bytes for a 16x16 field.
+ *  - ASCII drawings: '+' or 'o' posts, '---' horizontal walls and '|' vertical walls,
+ *    optionally with 'S' and 'G' marking the start and goal cells.
+ *
+ * Both are converted to and from a "layout": the maze described as cells with wall bits,
+ * rows listed top (north) to bottom. A layout maps onto the Maze grid by placing cells on
+ * odd grid coordinates and walls on the even coordinates between them.
+ */
+
+// Wall bits used by the .maz format
+const NORTH = 1;
+const EAST = 2;
+const SOUTH = 4;
+const WEST = 8;
+
+const POST_CHARS = '+o.*';
+
+/**
+ * Parse a binary .maz file
+ * @param {Uint8Array} bytes - File contents
+ * @returns {object} Layout with columns, rows and per-cell wall bits
+ */
+export const parseMazBinary = (bytes) => {
+    const size = Math.round(Math.sqrt(bytes.length));
+    if (size < 2 || size * size !== bytes.length) {
+        throw new Error(`A .maz file must contain a square number of cells, got ${bytes.length} bytes`);
+    }
+
+    const walls = createWallRows(size, size);
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            // Stored bottom row first; layouts list the top row first
+            walls[size - 1 - y][x] = bytes[x * size + y] & 0x0F;
+        }
+    }
+
+    return normalizeWalls({ columns: size, rows: size, walls, start: null, goalCells: [] });
+};
+
+/**
+ * Parse an ASCII maze drawing
+ * @param {string} text - File contents
+ * @returns {object} Layout with columns, rows, per-cell wall bits and optional start/goal cells
+ */
+export const parseAsciiMaze = (text) => {
+    const lines = text.replace(/\r/g, '').split('\n').filter(line => line.trim().length > 0);
+    if (lines.length < 3 || lines.length % 2 === 0) {
+        throw new Error('ASCII maze must alternate post rows and cell rows, starting and ending with a post row');
+    }
+
+    // The top border has every post, so it tells us how wide a cell is drawn
+    const posts = [];
+    for (let i = 0; i < lines[0].length; i++) {
+        if (POST_CHARS.includes(lines[0][i])) posts.push(i);
+    }
+    if (posts.length < 2) {
+        throw new Error("Couldn't find wall posts ('+' or 'o') on the first line");
+    }
+
+    const cellWidth = posts[1] - posts[0];
+    const columns = posts.length - 1;
+    const rows = (lines.length - 1) / 2;
+    const walls = createWallRows(columns, rows);
+    const goalCells = [];
+    let start = null;
+
+    const charAt = (line, index) => line[index] ?? ' ';
+    const hasHorizontalWall = (line, column) => {
+        const from = posts[0] + column * cellWidth + 1;
+        return line.slice(from, from + cellWidth - 1).includes('-');
+    };
+
+    for (let row = 0; row < rows; row++) {
+        const above = lines[row * 2];
+        const cells = lines[row * 2 + 1];
+        const below = lines[row * 2 + 2];
+
+        for (let column = 0; column < columns; column++) {
+            const left = posts[0] + column * cellWidth;
+            let bits = 0;
+            if (hasHorizontalWall(above, column)) bits |= NORTH;
+            if (hasHorizontalWall(below, column)) bits |= SOUTH;
+            if (charAt(cells, left) === '|') bits |= WEST;
+            if (charAt(cells, left + cellWidth) === '|') bits |= EAST;
+            walls[row][column] = bits;
+
+            const content = cells.slice(left + 1, left + cellWidth).toUpperCase();
+            if (content.includes('S')) start = { column, row };
+            if (content.includes('G')) goalCells.push({ column, row });
+        }
+    }
+
+    return normalizeWalls({ columns, rows, walls, start, goalCells });
+};
+
+/**
+ * Read an imported file, detecting the format from the name and contents
+ * @param {string} name - File name
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {object} Parsed layout
+ */
+export const parseMazeFile = (name, buffer) => {
+    const bytes = new Uint8Array(buffer);
+    const isText = bytes.every(byte => byte === 9 || byte === 10 || byte === 13 || (byte >= 32 && byte < 127));
+
+    if (/\.maz$/i.test(name) || !isText) {
+        return parseMazBinary(bytes);
+    }
+    return parseAsciiMaze(new TextDecoder().decode(bytes));
+};
+
+/**
+ * Build a Maze from a parsed layout. Imported fields use the competition rules:
+ * the goal is the 'G' cells if marked, otherwise the center, and the mouse starts
+ * in the 'S' cell if marked, otherwise the bottom-left corner.
+ * @param {object} layout - Parsed layout
+ * @param {number} cellSize - The size of each grid square in pixels when drawing
+ * @returns {Maze} The imported maze
+ */
+export const createMazeFromLayout = (layout, cellSize) => {
+    const width = layout.columns * 2 + 1;
+    const height = layout.rows * 2 + 1;
+    const grid = [];
+
+    for (let y = 0; y < height; y++) {
+        grid[y] = new Array(width).fill(1);
+    }
+
+    for (let row = 0; row < layout.rows; row++) {
+        for (let column = 0; column < layout.columns; column++) {
+            const x = column * 2 + 1;
+            const y = row * 2 + 1;
+            const bits = layout.walls[row][column];
+            grid[y][x] = 0;
+            // Each wall is shared, so opening east and south covers every interior wall once
+            if (column < layout.columns - 1 && !(bits & EAST)) grid[y][x + 1] = 0;
+            if (row < layout.rows - 1 && !(bits & SOUTH)) grid[y + 1][x] = 0;
+        }
+    }
+
+    const options = { mode: 'competition', grid };
+    if (layout.start) {
+        options.start = { x: layout.start.column * 2 + 1, y: layout.start.row * 2 + 1 };
+    }
+    if (layout.goalCells.length > 0) {
+        const columns = layout.goalCells.map(cell => cell.column);
+        const rows = layout.goalCells.map(cell => cell.row);
+        const x = Math.min(...columns) * 2 + 1;
+        const y = Math.min(...rows) * 2 + 1;
+        options.goal = {
+            x,
+            y,
+            width: Math.max(...columns) * 2 + 1 - x + 1,
+            height: Math.max(...rows) * 2 + 1 - y + 1
+        };
+    }
+
+    const maze = new Maze(width, height, cellSize, options);
+
+    // A multi-cell goal is one room: open the posts in its middle so every square is reachable
+    for (let y = maze.goal.y + 1; y < maze.goal.y + maze.goal.height; y += 2) {
+        for (let x = maze.goal.x + 1; x < maze.goal.x + maze.goal.width; x += 2) {
+            if (!maze.isWall(x, y - 1) && !maze.isWall(x, y + 1) && !maze.isWall(x - 1, y) && !maze.isWall(x + 1, y)) {
+                maze.grid[y][x] = 0;
+            }
+        }
+    }
+
+    return maze;
+};
+
+/**
+ * Describe a maze grid as a layout of cells with wall bits
+ * @param {Maze} maze - Maze to convert
+ * @returns {object} Layout
+ */
+export const createLayoutFromMaze = (maze) => {
+    const columns = (maze.width - 1) / 2;
+    const rows = (maze.height - 1) / 2;
+    if (!Number.isInteger(columns) || !Number.isInteger(rows)) {
+        throw new Error('Only mazes with odd grid dimensions can be exported');
+    }
+
+    const walls = createWallRows(columns, rows);
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const x = column * 2 + 1;
+            const y = row * 2 + 1;
+            let bits = 0;
+            if (maze.isWall(x, y - 1)) bits |= NORTH;
+            if (maze.isWall(x + 1, y)) bits |= EAST;
+            if (maze.isWall(x, y + 1)) bits |= SOUTH;
+            if (maze.isWall(x - 1, y)) bits |= WEST;
+            walls[row][column] = bits;
+        }
+    }
+
+    // Grid squares map to the cell they belong to (walls round down to the cell before them)
+    const toCell = (x, y) => ({
+        column: Math.min(columns - 1, Math.max(0, Math.floor((x - 1) / 2))),
+        row: Math.min(rows - 1, Math.max(0, Math.floor((y - 1) / 2)))
+    });
+
+    const goalCells = [];
+    for (let y = maze.goal.y; y < maze.goal.y + maze.goal.height; y++) {
+        for (let x = maze.goal.x; x < maze.goal.x + maze.goal.width; x++) {
+            if (x % 2 === 1 && y % 2 === 1) goalCells.push(toCell(x, y));
+        }
+    }
+
+    return { columns, rows, walls, start: toCell(maze.start.x, maze.start.y), goalCells };
+};
+
+/**
+ * Export a maze in the binary .maz format
+ * @param {Maze} maze - Maze to export (must be square)
+ * @returns {Uint8Array} File contents
+ */
+export const exportMazBinary = (maze) => {
+    const layout = createLayoutFromMaze(maze);
+    if (layout.columns !== layout.rows) {
+        throw new Error(`.maz files must be square, this maze is ${layout.columns}x${layout.rows} cells`);
+    }
+
+    const size = layout.columns;
+    const bytes = new Uint8Array(size * size);
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            bytes[x * size + y] = layout.walls[size - 1 - y][x];
+        }
+    }
+    return bytes;
+};
+
+/**
+ * Export a maze as an ASCII drawing with 'S' and 'G' markers
+ * @param {Maze} maze - Maze to export
+ * @returns {string} File contents
+ */
+export const exportAsciiMaze = (maze) => {
+    const layout = createLayoutFromMaze(maze);
+    const isGoal = (column, row) => layout.goalCells.some(cell => cell.column === column && cell.row === row);
+    const lines = [];
+
+    const postRow = (row, bit) => {
+        let line = '+';
+        for (let column = 0; column < layout.columns; column++) {
+            line += (layout.walls[row][column] & bit ? '---' : '   ') + '+';
+        }
+        return line;
+    };
+
+    for (let row = 0; row < layout.rows; row++) {
+        lines.push(postRow(row, NORTH));
+
+        let line = layout.walls[row][0] & WEST ? '|' : ' ';
+        for (let column = 0; column < layout.columns; column++) {
+            let content = ' ';
+            if (layout.start.column === column && layout.start.row === row) content = 'S';
+            else if (isGoal(column, row)) content = 'G';
+            line += ` ${content} ` + (layout.walls[row][column] & EAST ? '|' : ' ');
+        }
+        lines.push(line);
+    }
+    lines.push(postRow(layout.rows - 1, SOUTH));
+
+    return lines.join('\n') + '\n';
+};
+
+// Creates rows x columns of empty wall bits
+const createWallRows = (columns, rows) => {
+    return Array.from({ length: rows }, () => new Array(columns).fill(0));
+};
+
+// Makes shared walls agree (a wall either cell reports is a wall) and closes the outer border
+const normalizeWalls = (layout) => {
+    const { columns, rows, walls } = layout;
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            if (row === 0) walls[row][column] |= NORTH;
+            if (row === rows - 1) walls[row][column] |= SOUTH;
+            if (column === 0) walls[row][column] |= WEST;
+            if (column === columns - 1) walls[row][column] |= EAST;
+
+            if (column < columns - 1 && ((walls[row][column] & EAST) || (walls[row][column + 1] & WEST))) {
+                walls[row][column] |= EAST;
+                walls[row][column + 1] |= WEST;
+            }
+            if (row < rows - 1 && ((walls[row][column] & SOUTH) || (walls[row + 1][column] & NORTH))) {
+                walls[row][column] |= SOUTH;
+                walls[row + 1][column] |= NORTH;
+            }
+        }
+    }
+    return layout;
+};
@@ -0,0 +1,305 @@
+import { AGENTS, createAgentFromData } from './agents.js';
+import { createStateEncoder } from './encoders.js';
+
+/**
+ * Model files for Micromouse AI
+ * A trained agent as versioned JSON: the agent type, hyperparameters, exploration state
+ * and state encoding, the values it learned, the maze it learned on and how far training
+ * got. The same document is downloaded as a .json file and kept in the model library
+ * (see library.js). Progress saved before the format existed (a bare Q-table, or network
+ * weights) is wrapped into a model by migrateLegacyModel.
+ *
+ * Schema version 1:
+ *  {
+ *    format: 'micromouse-model', version: 1, savedAt: ISO date,
+ *    agent: { type, seed, encoding, rewards },
+ *    hyperparameters: { learningRate, discountFactor, explorationDecay, minExplorationRate, lambda?, planningSteps? },
+ *    exploration: { rate, start?, strategy, stateActionCounts, randomState },
+ *    learned: { qTable, ... } (rest of the agent's serialize() output, e.g. network weights and
+ *              replay buffer, or a Dyna model and update queue),
+ *    maze: Maze serialize() output (seed, grid, start, goal, ...),
+ *    training: { generation, successfulRuns, failedRuns, totalSteps, bestSteps, optimalSteps, statesExplored }
+ *  }
+ */
+
+export const MODEL_FORMAT = 'micromouse-model';
+export const MODEL_VERSION = 1;
+
+// Agent serialize() fields kept under hyperparameters; everything not named here or in
+// the agent and exploration sections counts as learned
+const HYPERPARAMETER_FIELDS = ['learningRate', 'discountFactor', 'explorationDecay', 'minExplorationRate', 'lambda', 'planningSteps'];
+const REQUIRED_HYPERPARAMETERS = ['learningRate', 'discountFactor', 'explorationDecay', 'minExplorationRate'];
+
+/**
+ * Describe a trained agent as a model
+ * @param {QLearningAgent} agent - Agent to save
+ * @param {Maze} maze - Maze it was trained on
+ * @param {object} training - Training stats to keep with it (generation, run counts, best steps, ...)
+ * @returns {object} Model document
+ */
+export const createModel = (agent, maze, training = {}) => {
+    const { type, seed, encoding, rewards, explorationRate, explorationStart, exploration, stateActionCounts, randomState, ...rest } = agent.serialize();
+    const hyperparameters = {};
+    const learned = {};
+    for (const [field, value] of Object.entries(rest)) {
+        if (HYPERPARAMETER_FIELDS.includes(field)) hyperparameters[field] = value;
+        else learned[field] = value;
+    }
+
+    return {
+        format: MODEL_FORMAT,
+        version: MODEL_VERSION,
+        savedAt: new Date().toISOString(),
+        agent: { type, seed, encoding, rewards },
+        hyperparameters,
+        exploration: { rate: explorationRate, start: explorationStart, strategy: exploration, stateActionCounts, randomState },
+        learned,
+        maze: maze.serialize(),
+        training: { ...training }
+    };
+};
+
+/**
+ * Read a model file
+ * @param {string} text - File contents
+ * @returns {object} The validated model
+ * @throws {Error} Saying what is wrong with the file
+ */
+export const parseModel = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Model file isn't valid JSON (${error.message})`);
+    }
+    return validateModel(data);
+};
+
+/**
+ * Check that a model has everything needed to rebuild its agent and maze
+ * @param {object} data - Parsed model document
+ * @returns {object} The model, with optional sections filled in
+ * @throws {Error} Naming the first problem found
+ */
+export const validateModel = (data) => {
+    if (!isObject(data) || data.format !== MODEL_FORMAT) {
+        throw new Error('Not a Micromouse model file');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('Model file has no schema version');
+    }
+    if (data.version > MODEL_VERSION) {
+        throw new Error(`Model file uses schema version ${data.version}, newer than the supported version ${MODEL_VERSION}`);
+    }
+
+    const { agent, hyperparameters, exploration, learned } = data;
+    if (!isObject(agent) || !AGENTS[agent.type]) {
+        throw new Error(`Unknown agent type "${agent?.type}"`);
+    }
+    const encoder = createStateEncoder(agent.encoding); // Throws on an unknown encoding
+
+    if (!isObject(hyperparameters)) {
+        throw new Error('Model file has no hyperparameters');
+    }
+    for (const name of REQUIRED_HYPERPARAMETERS) {
+        if (!Number.isFinite(hyperparameters[name])) {
+            throw new Error(`Hyperparameter "${name}" is missing or not a number`);
+        }
+    }
+    if (!isObject(exploration) || !Number.isFinite(exploration.rate)) {
+        throw new Error('Model file has no exploration rate');
+    }
+
+    if (exploration.start !== undefined && !Number.isFinite(exploration.start)) {
+        throw new Error('Exploration start must be a number');
+    }
+    if (exploration.stateActionCounts !== undefined) validateCounts(exploration.stateActionCounts);
+    if (exploration.randomState != null && !Number.isInteger(exploration.randomState)) {
+        throw new Error('Random generator state must be an integer');
+    }
+    validateLearned(learned, agent.type, encoder);
+    if (data.maze !== undefined) validateMaze(data.maze);
+
+    return { ...data, training: isObject(data.training) ? data.training : {} };
+};
+
+// The learned values must load into an agent of the model's type without leaving holes
+const validateLearned = (learned, type, encoder) => {
+    if (!isObject(learned)) {
+        throw new Error('Model file has no learned values');
+    }
+    if (type === 'dqn') {
+        if (!learned.network) {
+            throw new Error('Model file has no network weights');
+        }
+        validateNetwork(learned.network, encoder, 'Network');
+        if (learned.targetNetwork !== undefined) validateNetwork(learned.targetNetwork, encoder, 'Target network');
+        if (learned.optimizer !== undefined) validateOptimizer(learned.optimizer, learned.network.layerSizes);
+        if (learned.replay !== undefined) validateReplay(learned.replay, encoder);
+    } else {
+        if (!learned.qTable) {
+            throw new Error('Model file has no Q-table');
+        }
+        validateTable(learned.qTable, 'Q-table');
+        // Double Q-learning keeps its two estimates next to their average
+        if (learned.qTableA !== undefined) validateTable(learned.qTableA, 'Q-table A');
+        if (learned.qTableB !== undefined) validateTable(learned.qTableB, 'Q-table B');
+    }
+    if (learned.model !== undefined) validateTransitions(learned.model);
+    if (learned.queue !== undefined) validateQueue(learned.queue);
+};
+
+// Q-table entries are [state, [four Q-values]], one value per action
+const validateTable = (table, name) => {
+    if (!Array.isArray(table)) {
+        throw new Error(`${name} must be a list of entries`);
+    }
+    table.forEach((entry, index) => {
+        const isValid = Array.isArray(entry) && entry.length === 2 && typeof entry[0] === 'string' &&
+            Array.isArray(entry[1]) && entry[1].length === 4 && entry[1].every(Number.isFinite);
+        if (!isValid) {
+            throw new Error(`${name} entry ${index + 1} isn't a state with four numeric Q-values`);
+        }
+    });
+};
+
+// Visit counts are ["state:action", count] entries
+const validateCounts = (counts) => {
+    const isValid = Array.isArray(counts) && counts.every(entry => Array.isArray(entry) && entry.length === 2 &&
+        typeof entry[0] === 'string' && Number.isInteger(entry[1]) && entry[1] >= 0);
+    if (!isValid) {
+        throw new Error('Visit counts must be state-action keys with whole-number counts');
+    }
+};
+
+// Dyna-Q and Prioritized Sweeping models are lists of remembered transitions
+const validateTransitions = (transitions) => {
+    const isValid = Array.isArray(transitions) && transitions.every(transition => isObject(transition) &&
+        Number.isInteger(transition.action) && transition.action >= 0 && transition.action < 4 &&
+        Number.isFinite(transition.reward) && typeof transition.done === 'boolean');
+    if (!isValid) {
+        throw new Error('Planning model must be a list of transitions with an action, reward and end flag');
+    }
+};
+
+// Prioritized Sweeping's queue holds transitions by priority, plus the current priority of each pair
+const validateQueue = (queue) => {
+    const isValid = isObject(queue) && Array.isArray(queue.heap) && Array.isArray(queue.priorities) &&
+        queue.heap.every(entry => isObject(entry) && typeof entry.key === 'string' && Number.isFinite(entry.priority)) &&
+        queue.priorities.every(entry => Array.isArray(entry) && entry.length === 2 && typeof entry[0] === 'string' && Number.isFinite(entry[1]));
+    if (!isValid) {
+        throw new Error('Update queue must list transitions with a state-action key and priority');
+    }
+    validateTransitions(queue.heap.map(entry => entry.transition));
+};
+
+// DQN replay transitions hold numeric states of the encoding's size
+const validateReplay = (replay, encoder) => {
+    const isState = (state) => Array.isArray(state) && state.length === encoder.size && state.every(Number.isFinite);
+    const isValid = isObject(replay) && Array.isArray(replay.transitions) && Number.isInteger(replay.next) && replay.next >= 0 &&
+        replay.transitions.every(transition => isObject(transition) && isState(transition.state) && isState(transition.nextState));
+    if (!isValid) {
+        throw new Error(`Replay buffer must hold transitions between states of the "${encoder.name}" state encoding`);
+    }
+    validateTransitions(replay.transitions);
+};
+
+// Adam keeps two moment estimates per weight and bias
+const validateOptimizer = (optimizer, layerSizes) => {
+    const fits = (moments, lengths) => Array.isArray(moments) && moments.length === lengths.length &&
+        moments.every((moment, l) => isObject(moment) && ['m', 'v'].every(name =>
+            Array.isArray(moment[name]) && moment[name].length === lengths[l] && moment[name].every(Number.isFinite)));
+    const layers = layerSizes.slice(1);
+    const isValid = isObject(optimizer) && Number.isInteger(optimizer.step) && optimizer.step >= 0 &&
+        fits(optimizer.weightMoments, layers.map((size, l) => layerSizes[l] * size)) &&
+        fits(optimizer.biasMoments, layers);
+    if (!isValid) {
+        throw new Error("Optimizer state doesn't match the network's layer sizes");
+    }
+};
+
+// Weight and bias arrays must match the layer sizes, and the input layer the state encoding
+const validateNetwork = (network, encoder, name) => {
+    const { layerSizes, weights, biases } = isObject(network) ? network : {};
+    if (!Array.isArray(layerSizes) || layerSizes.length < 2 || !layerSizes.every(size => Number.isInteger(size) && size > 0)) {
+        throw new Error(`${name} has no layer sizes`);
+    }
+    if (layerSizes[0] !== encoder.size) {
+        throw new Error(`${name} takes ${layerSizes[0]} inputs, but the "${encoder.name}" state encoding has ${encoder.size}`);
+    }
+    if (layerSizes[layerSizes.length - 1] !== 4) {
+        throw new Error(`${name} must have 4 outputs, one per action`);
+    }
+    const layers = layerSizes.length - 1;
+    const fitsSizes = Array.isArray(weights) && Array.isArray(biases) && weights.length === layers && biases.length === layers &&
+        weights.every((layer, l) => Array.isArray(layer) && layer.length === layerSizes[l] * layerSizes[l + 1] && layer.every(Number.isFinite)) &&
+        biases.every((layer, l) => Array.isArray(layer) && layer.length === layerSizes[l + 1] && layer.every(Number.isFinite));
+    if (!fitsSizes) {
+        throw new Error(`${name} weights don't match its layer sizes`);
+    }
+};
+
+// A maze section must be a grid of the stated size with the start and goal inside it
+const validateMaze = (maze) => {
+    const isInside = (point) => isObject(point) &&
+        Number.isInteger(point.x) && Number.isInteger(point.y) &&
+        point.x >= 0 && point.x < maze.width && point.y >= 0 && point.y < maze.height;
+
+    if (!isObject(maze) || !Number.isInteger(maze.width) || !Number.isInteger(maze.height)) {
+        throw new Error('Model file has no maze size');
+    }
+    const fitsSize = Array.isArray(maze.grid) && maze.grid.length === maze.height &&
+        maze.grid.every(row => Array.isArray(row) && row.length === maze.width && row.every(cell => cell === 0 || cell === 1));
+    if (!fitsSize) {
+        throw new Error(`Maze grid doesn't match its ${maze.width}×${maze.height} size`);
+    }
+    if (!isInside(maze.start) || !isInside(maze.goal)) {
+        throw new Error('Maze start or goal is outside the grid');
+    }
+};
+
+/**
+ * Rebuild the agent a model describes
+ * @param {object} model - Validated model
+ * @returns {QLearningAgent} The agent, with its learned values and exploration state
+ */
+export const createAgentFromModel = (model) => createAgentFromData({
+    ...model.learned,
+    ...model.hyperparameters,
+    ...model.agent,
+    explorationRate: model.exploration.rate,
+    explorationStart: model.exploration.start,
+    exploration: model.exploration.strategy,
+    stateActionCounts: model.exploration.stateActionCounts,
+    randomState: model.exploration.randomState
+});
+
+/**
+ * Turn progress saved before model files existed into a model. Those saves held only the
+ * learned values: a Q-table (a bare array of entries, later { encoding, qTable }) or the
+ * network weights of the DQN (bare, later { encoding, network }). Everything else comes
+ * from the agent they are loaded into, as when the old saves were loaded.
+ * @param {*} data - Parsed localStorage value
+ * @param {QLearningAgent} agent - Agent the values were going to be loaded into
+ * @param {Maze} maze - Current maze
+ * @returns {object} The validated model
+ * @throws {Error} When the values don't fit the agent
+ */
+export const migrateLegacyModel = (data, agent, maze) => {
+    const { encoding = 'relative', qTable, network } = Array.isArray(data) ? { qTable: data }
+        : Array.isArray(data?.layerSizes) ? { network: data } : (data ?? {});
+    const isNetwork = agent.type === 'dqn';
+    if (isNetwork && !network) {
+        throw new Error('Saved progress is a Q-table, not network weights');
+    }
+    if (!isNetwork && !qTable) {
+        throw new Error(`Saved progress is network weights; switch to the ${AGENTS.dqn.name} agent to load it`);
+    }
+
+    const model = createModel(agent, maze);
+    model.agent.encoding = encoding;
+    model.learned = isNetwork ? { network } : { qTable };
+    return validateModel(model);
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
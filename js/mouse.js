@@ -11,14 +11,17 @@ export class Mouse {
         this.x = x;
         this.y = y;
         this.cellSize = maze.cellSize;
-        this.direction = 0; // 0: right, 1: down, 2: left, 3: up
-        this.visited = new Set(); // To keep track of visited cells
+        this.direction = maze.startDirection ?? 0; // 0: right, 1: down, 2: left, 3: up
+        this.visitCounts = new Map(); // "x,y" → times the square was entered this run
+        this.maxVisitCount = 0; // Highest count in visitCounts
         this.path = []; // To store the path taken by the mouse
         this.image = mouseImage;
         this.steps = 0; // Number of steps taken in the current run
+        this.wallHits = 0; // Number of moves blocked by a wall in the current run
         this.lastMove = { dx: 0, dy: 0 }; // Track the last move made
+        this.lastAction = null; // Direction of the last attempted move, blocked or not
         this.pathColor = '#4CAF50'; // Nice green color for the path
-        this.visitedColor = 'rgba(100, 149, 237, 0.2)'; // Light blue for visited cells
+        this.visitedColor = 'rgba(100, 149, 237, 0.2)'; // Light blue for squares visited once
     }
 
     /**
@@ -29,13 +32,16 @@ export class Mouse {
     reset(x = null, y = null) {
         this.x = x !== null ? x : this.maze.start.x;
         this.y = y !== null ? y : this.maze.start.y;
-        this.direction = 0;
-        this.visited.clear();
+        this.direction = this.maze.startDirection ?? 0;
+        this.visitCounts.clear();
+        this.maxVisitCount = 0;
         this.path = [];
         this.steps = 0;
+        this.wallHits = 0;
         this.lastMove = { dx: 0, dy: 0 };
-        // Add starting position to visited set and path
-        this.visited.add(`${this.x},${this.y}`);
+        this.lastAction = null;
+        // Count the starting position as visited and start the path there
+        this.recordVisit();
         this.path.push({ x: this.x, y: this.y });
     }
 
@@ -45,10 +51,10 @@ export class Mouse {
      * @param {HTMLImageElement} mouseLogo - The image element for the mouse logo.
      */
     draw(ctx, mouseLogo) {
-        // Draw visited cells with a light highlight
-        this.visited.forEach(pos => {
+        // Visit heat map: squares visited once get a light highlight, repeated visits run to red
+        this.visitCounts.forEach((count, pos) => {
             const [x, y] = pos.split(',').map(Number);
-            ctx.fillStyle = this.visitedColor;
+            ctx.fillStyle = this.getVisitColor(count);
             ctx.fillRect(
                 x * this.cellSize,
                 y * this.cellSize,
@@ -152,6 +158,7 @@ export class Mouse {
 
         const newX = this.x + dx;
         const newY = this.y + dy;
+        this.lastAction = direction;
 
         if (this.maze.isValidPosition(newX, newY)) {
             // Store the last move before updating position
@@ -161,16 +168,24 @@ export class Mouse {
             this.y = newY;
             this.direction = direction;
             
-            // Add to visited set and path
-            const posKey = `${this.x},${this.y}`;
-            this.visited.add(posKey);
+            // Add to visit counts and path
+            this.recordVisit();
             this.path.push({ x: this.x, y: this.y });
             this.steps++;
             return true;
         }
+        this.wallHits++;
         return false;
     }
 
+    /**
+     * Gets the number of actions attempted in the current run, including moves blocked by walls.
+     * @returns {number} Steps plus wall hits.
+     */
+    getActionCount() {
+        return this.steps + this.wallHits;
+    }
+
     /**
      * Gets the current state representation of the mouse for the AI.
      * (Currently returns position, surrounding walls, and direction).
@@ -205,7 +220,41 @@ export class Mouse {
     }
 
     hasVisited(x, y) {
-        return this.visited.has(`${x},${y}`);
+        return this.visitCounts.has(`${x},${y}`);
+    }
+
+    /**
+     * Gets how many times the mouse has entered a square in the current run
+     * (the starting square counts once from the start).
+     * @param {number} x - The x-coordinate.
+     * @param {number} y - The y-coordinate.
+     * @returns {number} Visit count, 0 if never visited.
+     */
+    getVisitCount(x, y) {
+        return this.visitCounts.get(`${x},${y}`) || 0;
+    }
+
+    /**
+     * Counts a visit of the mouse's current square.
+     */
+    recordVisit() {
+        const posKey = `${this.x},${this.y}`;
+        const count = (this.visitCounts.get(posKey) || 0) + 1;
+        this.visitCounts.set(posKey, count);
+        this.maxVisitCount = Math.max(this.maxVisitCount, count);
+    }
+
+    /**
+     * Heat map color for a square's visit count, relative to the most visited square.
+     * @param {number} count - Visit count of the square.
+     * @returns {string} CSS color.
+     */
+    getVisitColor(count) {
+        if (count <= 1 || this.maxVisitCount <= 1) {
+            return this.visitedColor;
+        }
+        const heat = (count - 1) / (this.maxVisitCount - 1); // 0 for single visits, 1 for the most visited
+        return `hsla(${Math.round(220 * (1 - heat))}, 80%, 55%, ${(0.25 + 0.35 * heat).toFixed(2)})`;
     }
 
     /**
@@ -238,16 +287,16 @@ export class Mouse {
     }
 
     /**
-     * Checks if the mouse is currently at the end position of the maze.
+     * Checks if the mouse is currently inside the goal region of the maze
+     * (a single end cell, or the 2x2 center of a competition field).
      * @returns {boolean} True if the mouse is at the end, false otherwise.
      */
     isAtEnd() {
-        return this.x === this.maze.end.x && this.y === this.maze.end.y;
+        return this.maze.isGoal(this.x, this.y);
     }
 
     // New method to get distance to goal
     getDistanceToGoal() {
-        return Math.abs(this.x - this.maze.end.x) + 
-               Math.abs(this.y - this.maze.end.y);
+        return this.maze.getGoalDistance(this.x, this.y);
     }
 } 
\ No newline at end of file
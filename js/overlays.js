@@ -0,0 +1,140 @@
+import { Mouse } from './mouse.js';
+
+/**
+ * Policy overlays for Micromouse AI
+ * Show what the agent has learned across the whole maze: every open square is run
+ * through the agent's state encoding (as seen by a mouse just placed there, facing the
+ * start direction) and the resulting state's values are drawn on top of the maze.
+ */
+
+// Layers that can be switched on, keyed by the id used for their toggles
+export const OVERLAY_LAYERS = {
+    maxQ: { name: 'Max Q-value' },
+    policy: { name: 'Greedy action' },
+    visits: { name: 'Visit frequency' }
+};
+
+// Re-evaluating every square is too slow for every frame on big mazes or with the DQN
+const REFRESH_INTERVAL = 250;
+
+// Directions as used for actions: 0: right, 1: down, 2: left, 3: up
+const DX = [1, 0, -1, 0];
+const DY = [0, 1, 0, -1];
+
+/**
+ * Evaluates an agent on every open square and draws the enabled layers
+ */
+export class PolicyOverlay {
+    constructor() {
+        this.cells = []; // { x, y, qValues (null for unseen states), visits } per open square
+        this.maxQRange = { min: 0, max: 0 };
+        this.maxVisits = 0;
+        this.evaluatedAt = -Infinity;
+        this.maze = null;
+        this.agent = null;
+        this.probe = null; // Mouse placed on each square in turn
+    }
+
+    /**
+     * Force a fresh evaluation on the next draw (e.g. after the maze or agent changed)
+     */
+    invalidate() {
+        this.evaluatedAt = -Infinity;
+    }
+
+    /**
+     * Look up the agent's values for every open square
+     * @param {Maze} maze - Maze being shown
+     * @param {QLearningAgent} agent - Agent whose state encoding and values are shown
+     */
+    evaluate(maze, agent) {
+        if (!this.probe || this.probe.maze !== maze) {
+            this.probe = new Mouse(maze, maze.start.x, maze.start.y, null);
+        }
+        this.maze = maze;
+        this.agent = agent;
+        this.cells = [];
+        this.maxQRange = { min: Infinity, max: -Infinity };
+        this.maxVisits = 0;
+
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                if (maze.isWall(x, y)) continue;
+                this.probe.reset(x, y);
+                const state = agent.getRelativeState(this.probe);
+                const qValues = agent.peekQValues(state);
+                const visits = agent.getStateVisitCount(state);
+                if (qValues) {
+                    const maxQ = Math.max(...qValues);
+                    this.maxQRange.min = Math.min(this.maxQRange.min, maxQ);
+                    this.maxQRange.max = Math.max(this.maxQRange.max, maxQ);
+                }
+                this.maxVisits = Math.max(this.maxVisits, visits);
+                this.cells.push({ x, y, qValues, visits });
+            }
+        }
+        this.evaluatedAt = performance.now();
+    }
+
+    /**
+     * Draw the enabled layers in maze coordinates (inside Maze.applyViewTransform)
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Maze} maze - Maze being shown
+     * @param {QLearningAgent} agent - Agent to show
+     * @param {object} layers - Layer id from OVERLAY_LAYERS → whether it is shown
+     */
+    draw(ctx, maze, agent, layers) {
+        if (!Object.values(layers).some(Boolean)) return;
+        const isStale = maze !== this.maze || agent !== this.agent ||
+            performance.now() - this.evaluatedAt >= REFRESH_INTERVAL;
+        if (isStale) this.evaluate(maze, agent);
+
+        const size = maze.cellSize;
+        for (const cell of this.cells) {
+            if (layers.maxQ && cell.qValues) this.drawMaxQ(ctx, cell, size);
+            if (layers.visits && cell.visits > 0) this.drawVisits(ctx, cell, size);
+            if (layers.policy && cell.qValues) this.drawPolicyArrow(ctx, cell, size);
+        }
+    }
+
+    // Low values red through yellow to high values green, relative to the maze's range
+    drawMaxQ(ctx, cell, size) {
+        const { min, max } = this.maxQRange;
+        const value = (Math.max(...cell.qValues) - min) / ((max - min) || 1);
+        ctx.fillStyle = `hsla(${Math.round(120 * value)}, 80%, 45%, 0.45)`;
+        ctx.fillRect(cell.x * size, cell.y * size, size, size);
+    }
+
+    // A dot growing with the log of the visit count, so rarely visited squares still show
+    drawVisits(ctx, cell, size) {
+        const share = Math.log(1 + cell.visits) / Math.log(1 + this.maxVisits);
+        ctx.fillStyle = 'rgba(0, 229, 255, 0.6)';
+        ctx.beginPath();
+        ctx.arc((cell.x + 0.5) * size, (cell.y + 0.5) * size, size * (0.08 + 0.3 * share), 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Arrow towards the best action; squares whose values are all equal have no preference yet
+    drawPolicyArrow(ctx, cell, size) {
+        const best = Math.max(...cell.qValues);
+        if (cell.qValues.every(value => value === best)) return;
+        const action = cell.qValues.indexOf(best);
+        const centerX = (cell.x + 0.5) * size;
+        const centerY = (cell.y + 0.5) * size;
+        const tipX = centerX + DX[action] * size * 0.35;
+        const tipY = centerY + DY[action] * size * 0.35;
+        const head = size * 0.18;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.lineWidth = Math.max(1, size / 12);
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(centerX - DX[action] * size * 0.25, centerY - DY[action] * size * 0.25);
+        ctx.lineTo(tipX, tipY);
+        // Arrowhead: two strokes back from the tip, perpendicular spread
+        ctx.moveTo(tipX - DX[action] * head - DY[action] * head, tipY - DY[action] * head - DX[action] * head);
+        ctx.lineTo(tipX, tipY);
+        ctx.lineTo(tipX - DX[action] * head + DY[action] * head, tipY - DY[action] * head + DX[action] * head);
+        ctx.stroke();
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * Seeded pseudo-random number generator for Micromouse AI
+ * Makes maze generation and training runs reproducible from a single seed
+ */
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - Seed value. Strings are hashed, numbers are truncated to 32 bits.
+     */
+    constructor(seed = randomSeed()) {
+        this.seed = normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Restart the sequence from the original seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    /**
+     * Returns the next float in [0, 1) using the mulberry32 algorithm
+     * @returns {number} Pseudo-random number, drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Returns a random integer in [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Random integer
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+}
+
+/**
+ * Create a fresh random seed for runs where the user didn't provide one
+ * @returns {number} Unsigned 32-bit seed
+ */
+export const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+/**
+ * Convert user input into an unsigned 32-bit seed.
+ * Numeric strings are used as-is so a seed copied from the UI round-trips exactly.
+ * @param {number|string} value - Seed typed by the user or stored with a run
+ * @returns {number} Unsigned 32-bit seed
+ */
+export const normalizeSeed = (value) => {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return Math.floor(Math.abs(value)) >>> 0;
+    }
+
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash so words like "demo" are valid seeds too
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Accept either a seed or an injected PRNG and return something with next()/nextInt()
+ * @param {number|string|Function|SeededRandom} source - Seed, PRNG instance or a Math.random-like function
+ * @returns {SeededRandom|{seed: null, next: Function, nextInt: Function, reset: Function}} Random source
+ */
+export const toRandomSource = (source) => {
+    if (source instanceof SeededRandom) {
+        return source;
+    }
+    if (typeof source === 'function') {
+        return {
+            seed: null,
+            next: source,
+            nextInt: (max) => Math.floor(source() * max),
+            reset: () => {}
+        };
+    }
+    return new SeededRandom(source === undefined || source === null ? randomSeed() : source);
+};
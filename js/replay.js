@@ -0,0 +1,72 @@
+/**
+ * Episode replays for Micromouse AI
+ * A Trainer recording holds what the agent saw and did on every step of an episode: the
+ * state, the Q-values it chose from, the action and the reward. A replay walks the
+ * recorded actions with a mouse, so the episode can be played, stepped and scrubbed.
+ */
+
+// Arrows for actions in the inspector, 0: right, 1: down, 2: left, 3: up
+export const ACTION_NAMES = ['→ Right', '↓ Down', '← Left', '↑ Up'];
+
+/**
+ * Format a recorded state for display: tabular agents use state strings, the DQN a feature vector
+ * @param {string|number[]} state - Recorded state
+ * @returns {string} Readable state
+ */
+export const formatState = (state) =>
+    Array.isArray(state) ? `[${state.map(value => Number(value.toFixed(2))).join(', ')}]` : state;
+
+/**
+ * Walks a recorded episode with a mouse
+ */
+export class EpisodeReplay {
+    /**
+     * @param {Mouse} mouse - Mouse to walk the episode with; the replay resets and moves it
+     * @param {object} recording - Trainer recording: { start: {x, y}, steps }
+     */
+    constructor(mouse, recording) {
+        this.mouse = mouse;
+        this.recording = recording;
+        this.position = 0; // Steps taken so far
+        this.mouse.reset(recording.start.x, recording.start.y);
+    }
+
+    get length() {
+        return this.recording.steps.length;
+    }
+
+    isAtEnd() {
+        return this.position >= this.length;
+    }
+
+    /**
+     * Jump to the position after a number of steps. Going back replays from the start,
+     * so the mouse's path and visit heat map match the episode up to that point.
+     * @param {number} position - Steps taken, from 0 to length
+     */
+    seek(position) {
+        const target = Math.max(0, Math.min(this.length, Math.round(position)));
+        if (target < this.position) {
+            this.mouse.reset(this.recording.start.x, this.recording.start.y);
+            this.position = 0;
+        }
+        while (this.position < target) {
+            this.mouse.move(this.recording.steps[this.position].action);
+            this.position++;
+        }
+    }
+
+    /**
+     * Step forwards (or backwards with a negative count)
+     */
+    stepBy(count) {
+        this.seek(this.position + count);
+    }
+
+    /**
+     * @returns {object|null} The step that led to the current position, or null at the start
+     */
+    getCurrentStep() {
+        return this.position > 0 ? this.recording.steps[this.position - 1] : null;
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * Reward profiles for Micromouse AI
+ * A profile is plain data describing what every step is worth, so reward functions can be
+ * edited in the UI, sent to the training worker and saved with the agent:
+ *   goalReward       - reaching the goal (the whole reward of that step, apart from potential shaping)
+ *   wallPenalty      - bumping into a wall (the whole reward of that step, apart from potential shaping)
+ *   stepPenalty      - every other step
+ *   timeoutPenalty   - added when an episode runs out of steps
+ *   shaping          - 'none', 'manhattan' (closerReward/furtherPenalty when the straight-line
+ *                      distance to the goal shrinks/grows) or 'potential' (potential-based
+ *                      shaping on the walking distance: its discounted sum only depends on
+ *                      where a route starts and ends, so it can't change the best policy)
+ *   potentialScale   - reward per square of walking distance gained, for 'potential'
+ *   revisitPenalty   - subtracted per earlier visit (this episode) when stepping on a square again...
+ *   maxRevisitPenalty - ...up to this much
+ *   newCellBonus     - exploration bonus for the first visit of a square in an episode
+ */
+
+export const SHAPING_TYPES = ['none', 'manhattan', 'potential'];
+
+// Ready-made profiles offered in the UI, keyed by id
+export const REWARD_PROFILES = {
+    classic: {
+        name: 'Shaped (original)',
+        goalReward: 100,
+        wallPenalty: -10,
+        stepPenalty: -0.1,
+        timeoutPenalty: -50,
+        shaping: 'manhattan',
+        closerReward: 2,
+        furtherPenalty: -1,
+        potentialScale: 0,
+        revisitPenalty: 1,
+        maxRevisitPenalty: 5,
+        newCellBonus: 0
+    },
+    sparse: {
+        name: 'Sparse (goal only)',
+        goalReward: 100,
+        wallPenalty: 0,
+        stepPenalty: 0,
+        timeoutPenalty: 0,
+        shaping: 'none',
+        closerReward: 0,
+        furtherPenalty: 0,
+        potentialScale: 0,
+        revisitPenalty: 0,
+        maxRevisitPenalty: 0,
+        newCellBonus: 0
+    },
+    manhattan: {
+        name: 'Manhattan distance shaping',
+        goalReward: 100,
+        wallPenalty: -1,
+        stepPenalty: -0.1,
+        timeoutPenalty: -50,
+        shaping: 'manhattan',
+        closerReward: 1,
+        furtherPenalty: -1,
+        potentialScale: 0,
+        revisitPenalty: 0,
+        maxRevisitPenalty: 0,
+        newCellBonus: 0
+    },
+    potential: {
+        name: 'Potential-based (maze distance)',
+        goalReward: 100,
+        wallPenalty: -1,
+        stepPenalty: -0.1,
+        timeoutPenalty: -50,
+        shaping: 'potential',
+        closerReward: 0,
+        furtherPenalty: 0,
+        potentialScale: 1,
+        revisitPenalty: 0,
+        maxRevisitPenalty: 0,
+        newCellBonus: 0
+    },
+    exploration: {
+        name: 'Exploration bonus',
+        goalReward: 100,
+        wallPenalty: -1,
+        stepPenalty: -0.1,
+        timeoutPenalty: -50,
+        shaping: 'none',
+        closerReward: 0,
+        furtherPenalty: 0,
+        potentialScale: 0,
+        revisitPenalty: 0.1,
+        maxRevisitPenalty: 1,
+        newCellBonus: 0.5
+    }
+};
+
+/**
+ * Computes rewards from a profile
+ */
+export class RewardFunction {
+    /**
+     * @param {object} profile - Reward profile; missing fields come from the classic profile
+     */
+    constructor(profile) {
+        this.profile = { ...REWARD_PROFILES.classic, ...profile };
+        if (!SHAPING_TYPES.includes(this.profile.shaping)) {
+            throw new Error(`Unknown reward shaping "${this.profile.shaping}"`);
+        }
+        this.distanceMaze = null; // Maze the cached walking distances belong to
+        this.distances = null;
+    }
+
+    /**
+     * Reward for an action the mouse has just attempted
+     * @param {Mouse} mouse - Mouse after the move
+     * @param {boolean} wasValidMove - Whether the move went through
+     * @param {number} discountFactor - The agent's γ, which potential-based shaping must discount with
+     * @returns {number} The reward
+     */
+    getReward(mouse, wasValidMove, discountFactor = 1) {
+        const { profile } = this;
+
+        // mouse.lastMove holds the square the mouse came from; a blocked move stays put
+        const previous = wasValidMove ? { x: mouse.lastMove.dx, y: mouse.lastMove.dy } : { x: mouse.x, y: mouse.y };
+        const shaping = profile.shaping === 'potential' ? this.getPotentialShaping(mouse, previous, discountFactor) : 0;
+
+        if (!wasValidMove) {
+            return profile.wallPenalty + shaping;
+        }
+        if (mouse.isAtEnd()) {
+            return profile.goalReward + shaping;
+        }
+
+        let reward = profile.stepPenalty + shaping;
+
+        if (profile.shaping === 'manhattan') {
+            const currentDist = mouse.maze.getGoalDistance(mouse.x, mouse.y);
+            const prevDist = mouse.maze.getGoalDistance(previous.x, previous.y);
+            if (currentDist < prevDist) {
+                reward += profile.closerReward;
+            } else if (currentDist > prevDist) {
+                reward += profile.furtherPenalty;
+            }
+        }
+
+        // The move has already been counted, so earlier visits are one less
+        const earlierVisits = mouse.getVisitCount(mouse.x, mouse.y) - 1;
+        if (earlierVisits > 0) {
+            reward -= Math.min(profile.maxRevisitPenalty, profile.revisitPenalty * earlierVisits);
+        } else {
+            reward += profile.newCellBonus;
+        }
+
+        return reward;
+    }
+
+    getTimeoutPenalty() {
+        return this.profile.timeoutPenalty;
+    }
+
+    /**
+     * F = γΦ(s') - Φ(s) with Φ = -scale * walking distance to the goal (Ng et al., 1999), on
+     * every transition including wall bumps and the step onto the goal, whose terminal state
+     * has Φ = 0. With the agent's γ the discounted shaping then telescopes to
+     * γ^T Φ(s_T) - Φ(s_0), so it leaves the optimal policy unchanged. Without γ, a step
+     * towards the goal and back would earn (1 - γ) * scale and loops would pay off.
+     */
+    getPotentialShaping(mouse, previous, discountFactor) {
+        const nextPotential = mouse.isAtEnd() ? 0 : this.getPotential(mouse.maze, mouse.x, mouse.y);
+        return discountFactor * nextPotential - this.getPotential(mouse.maze, previous.x, previous.y);
+    }
+
+    /**
+     * Shaping potential of a square; squares cut off from the goal count as the goal's
+     */
+    getPotential(maze, x, y) {
+        if (this.distanceMaze !== maze) {
+            this.distances = maze.getDistancesToGoal();
+            this.distanceMaze = maze;
+        }
+        const distance = this.distances[y][x];
+        return Number.isFinite(distance) ? -this.profile.potentialScale * distance : 0;
+    }
+
+    /**
+     * Forget cached walking distances, after the maze was edited
+     */
+    clearCache() {
+        this.distanceMaze = null;
+        this.distances = null;
+    }
+
+    serialize() {
+        return { ...this.profile };
+    }
+}
+
+/**
+ * Build a reward function from a profile id or a profile object (serialize() output)
+ * @param {string|object} settings - Profile id from REWARD_PROFILES, or profile fields
+ * @returns {RewardFunction} The reward function
+ */
+export const createRewardFunction = (settings = 'classic') => {
+    if (typeof settings !== 'string') {
+        return new RewardFunction(settings);
+    }
+    const profile = REWARD_PROFILES[settings];
+    if (!profile) {
+        throw new Error(`Unknown reward profile "${settings}"`);
+    }
+    return new RewardFunction(profile);
+};
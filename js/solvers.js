@@ -0,0 +1,247 @@
+/**
+ * Classical maze solvers for Micromouse AI
+ * Reference baselines to compare the Q-learning agent against. Every solver
+ * drives a Mouse one step at a time through the same interface:
+ *   reset(mouse)       - prepare a run from the mouse's current position
+ *   nextAction(mouse)  - direction to move next (0: right, 1: down, 2: left, 3: up), or -1 if stuck
+ */
+
+// Movement offsets indexed by direction, matching Mouse.move
+const DX = [1, 0, -1, 0];
+const DY = [0, 1, 0, -1];
+
+const positionKey = (x, y) => `${x},${y}`;
+
+// Converts a step between neighbouring squares into a direction
+const directionBetween = (from, to) => {
+    for (let direction = 0; direction < 4; direction++) {
+        if (from.x + DX[direction] === to.x && from.y + DY[direction] === to.y) {
+            return direction;
+        }
+    }
+    return -1;
+};
+
+// Walks parent links back from the goal square to build the path
+const buildPath = (parents, end) => {
+    const path = [end];
+    let key = positionKey(end.x, end.y);
+    while (parents.get(key)) {
+        const previous = parents.get(key);
+        path.unshift(previous);
+        key = positionKey(previous.x, previous.y);
+    }
+    return path;
+};
+
+/**
+ * Breadth-first search for the shortest path to the goal region
+ * @param {Maze} maze - Maze to search
+ * @param {{x: number, y: number}} from - Starting square
+ * @returns {Array<{x: number, y: number}>|null} Squares from start to goal inclusive, or null if unreachable
+ */
+export const findShortestPath = (maze, from = maze.start) => {
+    const parents = new Map([[positionKey(from.x, from.y), null]]);
+    const queue = [from];
+
+    for (let head = 0; head < queue.length; head++) {
+        const current = queue[head];
+        if (maze.isGoal(current.x, current.y)) {
+            return buildPath(parents, current);
+        }
+        for (let direction = 0; direction < 4; direction++) {
+            const next = { x: current.x + DX[direction], y: current.y + DY[direction] };
+            const key = positionKey(next.x, next.y);
+            if (maze.isValidPosition(next.x, next.y) && !parents.has(key)) {
+                parents.set(key, current);
+                queue.push(next);
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * A* search towards the goal region using Manhattan distance as the heuristic
+ * @param {Maze} maze - Maze to search
+ * @param {{x: number, y: number}} from - Starting square
+ * @returns {Array<{x: number, y: number}>|null} Squares from start to goal inclusive, or null if unreachable
+ */
+export const findPathAStar = (maze, from = maze.start) => {
+    const startKey = positionKey(from.x, from.y);
+    const parents = new Map([[startKey, null]]);
+    const costs = new Map([[startKey, 0]]);
+    const closed = new Set();
+    // Small mazes make a sorted array a perfectly good priority queue
+    const open = [{ ...from, priority: maze.getGoalDistance(from.x, from.y) }];
+
+    while (open.length > 0) {
+        const current = open.shift();
+        const currentKey = positionKey(current.x, current.y);
+        if (closed.has(currentKey)) continue;
+        closed.add(currentKey);
+
+        if (maze.isGoal(current.x, current.y)) {
+            return buildPath(parents, { x: current.x, y: current.y });
+        }
+
+        for (let direction = 0; direction < 4; direction++) {
+            const next = { x: current.x + DX[direction], y: current.y + DY[direction] };
+            const key = positionKey(next.x, next.y);
+            const cost = costs.get(currentKey) + 1;
+            if (!maze.isValidPosition(next.x, next.y) || cost >= (costs.get(key) ?? Infinity)) continue;
+
+            costs.set(key, cost);
+            parents.set(key, { x: current.x, y: current.y });
+            const priority = cost + maze.getGoalDistance(next.x, next.y);
+            const index = open.findIndex(entry => entry.priority > priority);
+            open.splice(index === -1 ? open.length : index, 0, { ...next, priority });
+        }
+    }
+    return null;
+};
+
+/**
+ * Follows a precomputed path (from BFS or A*). The maze is fully known in advance.
+ */
+export class PathSolver {
+    /**
+     * @param {Maze} maze - Maze to solve
+     * @param {Function} findPath - Path search function, e.g. findShortestPath
+     */
+    constructor(maze, findPath) {
+        this.maze = maze;
+        this.findPath = findPath;
+        this.path = [];
+        this.index = 0;
+    }
+
+    reset(mouse) {
+        this.path = this.findPath(this.maze, { x: mouse.x, y: mouse.y }) || [];
+        this.index = 0;
+    }
+
+    nextAction(mouse) {
+        if (this.index >= this.path.length - 1) return -1;
+        this.index++;
+        return directionBetween({ x: mouse.x, y: mouse.y }, this.path[this.index]);
+    }
+}
+
+/**
+ * The micromouse flood-fill algorithm. The mouse only knows walls it has sensed
+ * next to squares it has stood on; everything else is assumed open. After each
+ * move it refloods distances from the goal over its wall map and steps to the
+ * neighbour with the lowest distance.
+ */
+export class FloodFillSolver {
+    /**
+     * @param {Maze} maze - Maze to solve (only read through local sensing)
+     */
+    constructor(maze) {
+        this.maze = maze;
+        this.knownWalls = new Set();
+    }
+
+    reset() {
+        this.knownWalls.clear();
+    }
+
+    // Records the walls around the mouse, like a robot's side and front sensors
+    sense(mouse) {
+        for (let direction = 0; direction < 4; direction++) {
+            const x = mouse.x + DX[direction];
+            const y = mouse.y + DY[direction];
+            if (!this.maze.isValidPosition(x, y)) {
+                this.knownWalls.add(positionKey(x, y));
+            }
+        }
+    }
+
+    // Breadth-first flood from the goal over squares not known to be walls
+    flood() {
+        const { maze } = this;
+        const distances = new Map();
+        const queue = [];
+        for (let y = maze.goal.y; y < maze.goal.y + maze.goal.height; y++) {
+            for (let x = maze.goal.x; x < maze.goal.x + maze.goal.width; x++) {
+                distances.set(positionKey(x, y), 0);
+                queue.push({ x, y });
+            }
+        }
+
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            const distance = distances.get(positionKey(current.x, current.y));
+            for (let direction = 0; direction < 4; direction++) {
+                const x = current.x + DX[direction];
+                const y = current.y + DY[direction];
+                const key = positionKey(x, y);
+                const inside = x > 0 && y > 0 && x < maze.width - 1 && y < maze.height - 1;
+                if (inside && !this.knownWalls.has(key) && !distances.has(key)) {
+                    distances.set(key, distance + 1);
+                    queue.push({ x, y });
+                }
+            }
+        }
+        return distances;
+    }
+
+    nextAction(mouse) {
+        this.sense(mouse);
+        const distances = this.flood();
+
+        // Lowest distance wins; keeping the current heading breaks ties so the mouse runs straight
+        let bestAction = -1;
+        let bestDistance = Infinity;
+        const order = [mouse.direction, 0, 1, 2, 3];
+        for (const direction of order) {
+            const key = positionKey(mouse.x + DX[direction], mouse.y + DY[direction]);
+            const distance = this.knownWalls.has(key) ? Infinity : (distances.get(key) ?? Infinity);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestAction = direction;
+            }
+        }
+        return bestAction;
+    }
+}
+
+/**
+ * Left- or right-hand wall follower. Keeps one hand on the wall: prefers turning
+ * towards that hand, then straight, then the other way, then turning back.
+ * Can loop forever when the goal sits on an island (braided mazes, competition centers).
+ */
+export class WallFollowerSolver {
+    /**
+     * @param {Maze} maze - Maze to solve
+     * @param {'left'|'right'} hand - Which hand stays on the wall
+     */
+    constructor(maze, hand) {
+        this.maze = maze;
+        this.hand = hand;
+    }
+
+    reset() {}
+
+    nextAction(mouse) {
+        // Directions run clockwise (right, down, left, up), so +1 turns right and +3 turns left
+        const turns = this.hand === 'left' ? [3, 0, 1, 2] : [1, 0, 3, 2];
+        for (const turn of turns) {
+            const direction = (mouse.direction + turn) % 4;
+            if (this.maze.isValidPosition(mouse.x + DX[direction], mouse.y + DY[direction])) {
+                return direction;
+            }
+        }
+        return -1;
+    }
+}
+
+// Registry of available solvers, keyed by the id used in the UI dropdown
+export const SOLVERS = {
+    bfs: { name: 'BFS Shortest Path', create: (maze) => new PathSolver(maze, findShortestPath) },
+    astar: { name: 'A*', create: (maze) => new PathSolver(maze, findPathAStar) },
+    floodFill: { name: 'Flood Fill', create: (maze) => new FloodFillSolver(maze) },
+    leftHand: { name: 'Left-Hand Wall Follower', create: (maze) => new WallFollowerSolver(maze, 'left') },
+    rightHand: { name: 'Right-Hand Wall Follower', create: (maze) => new WallFollowerSolver(maze, 'right') }
+};
@@ -0,0 +1,37 @@
+import { Maze } from './maze.js';
+import { evaluateConfiguration, summarizeRuns } from './sweep.js';
+
+/**
+ * Hyperparameter sweep worker for Micromouse AI
+ * Trains one fresh agent per configuration and maze off the main thread. The page
+ * terminates the worker to stop a sweep early, so nothing needs saving on the way out.
+ *
+ * Messages in:
+ *   { type: 'start', configurations, mazes, settings } - serialized mazes; settings as for evaluateConfiguration
+ * Messages out:
+ *   { type: 'progress', runs, totalRuns }              - training runs finished so far
+ *   { type: 'result', index, configuration, ...metrics } - a configuration done on every maze
+ *   { type: 'done' }                                   - the sweep is complete
+ */
+
+const start = (data) => {
+    const mazes = data.mazes.map(mazeData => Maze.deserialize(mazeData, 1));
+    const { configurations, settings } = data;
+    const totalRuns = configurations.length * mazes.length;
+
+    configurations.forEach((configuration, index) => {
+        const runs = mazes.map((maze, mazeIndex) => {
+            const run = evaluateConfiguration(configuration, maze, settings);
+            self.postMessage({ type: 'progress', runs: index * mazes.length + mazeIndex + 1, totalRuns });
+            return run;
+        });
+        self.postMessage({ type: 'result', index, configuration, ...summarizeRuns(runs, settings.episodes) });
+    });
+    self.postMessage({ type: 'done' });
+};
+
+self.addEventListener('message', (event) => {
+    if (event.data.type === 'start') {
+        start(event.data);
+    }
+});
@@ -0,0 +1,121 @@
+import { AGENTS } from './agents.js';
+import { MicromouseEnvironment, Trainer, getSuccessRate } from './training.js';
+import { SeededRandom } from './random.js';
+
+/**
+ * Hyperparameter sweeps for Micromouse AI
+ * Trains a fresh agent for every configuration on every maze, headless, and scores how
+ * quickly and how well it learned. Like training.js this has no DOM, so sweeps run in
+ * a Web Worker (sweep-worker.js) or straight from Node.
+ */
+
+// Hyperparameters a sweep can vary, in the order of QLearningAgent's constructor
+export const SWEEP_PARAMETERS = ['learningRate', 'discountFactor', 'explorationRate', 'explorationDecay', 'minExplorationRate'];
+
+// Share of a run's last episodes that the final average steps and success rate are measured over
+const FINAL_EPISODES_FRACTION = 0.1;
+
+/**
+ * Grid search: every combination of the listed values
+ * @param {object} space - Parameter name → values to try
+ * @returns {object[]} Configurations (parameter name → value)
+ */
+export const createGridConfigurations = (space) =>
+    Object.entries(space).reduce(
+        (configurations, [name, values]) =>
+            configurations.flatMap(configuration => values.map(value => ({ ...configuration, [name]: value }))),
+        [{}]
+    );
+
+/**
+ * Random search: each parameter drawn uniformly between the smallest and largest listed value
+ * @param {object} space - Parameter name → values marking the range to sample
+ * @param {number} count - Number of configurations
+ * @param {number|string} seed - Seed, so the same sweep draws the same configurations
+ * @returns {object[]} Configurations (parameter name → value)
+ */
+export const createRandomConfigurations = (space, count, seed) => {
+    const random = new SeededRandom(seed);
+    return Array.from({ length: count }, () => {
+        const configuration = {};
+        for (const [name, values] of Object.entries(space)) {
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            configuration[name] = Number((min + random.next() * (max - min)).toFixed(4));
+        }
+        return configuration;
+    });
+};
+
+/**
+ * Train a fresh agent with a configuration on one maze
+ * @param {object} configuration - Hyperparameters to try
+ * @param {Maze} maze - Maze to train on
+ * @param {object} settings - Sweep settings
+ * @param {string} settings.agentType - Algorithm id from AGENTS
+ * @param {object} settings.hyperparameters - Values for the parameters the configuration leaves out
+ * @param {object} settings.agentOptions - Options for the agent (seed, exploration, encoding, rewards, ...)
+ * @param {number} settings.episodes - Episodes per run
+ * @param {number} settings.maxSteps - Actions per episode before it times out
+ * @returns {{episodesToFirstSuccess: number|null, finalAverageSteps: number, successRate: number}} Run metrics
+ */
+export const evaluateConfiguration = (configuration, maze, settings) => {
+    const params = { ...settings.hyperparameters, ...configuration };
+    const agent = AGENTS[settings.agentType].create(
+        ...SWEEP_PARAMETERS.map(name => params[name]),
+        settings.agentOptions
+    );
+    const trainer = new Trainer(new MicromouseEnvironment(maze, agent, { maxSteps: settings.maxSteps }));
+    const results = trainer.train(settings.episodes);
+
+    const finalCount = Math.max(1, Math.round(results.length * FINAL_EPISODES_FRACTION));
+    const finalResults = results.slice(-finalCount);
+    const firstSuccess = results.findIndex(result => result.outcome === 'success');
+    return {
+        episodesToFirstSuccess: firstSuccess === -1 ? null : firstSuccess + 1,
+        finalAverageSteps: finalResults.reduce((sum, result) => sum + result.steps, 0) / finalResults.length,
+        successRate: getSuccessRate(results, finalCount)
+    };
+};
+
+/**
+ * Combine one configuration's runs on several mazes into averages. A maze that was never
+ * solved counts as taking the whole episode budget to the first success.
+ * @param {object[]} runs - evaluateConfiguration results
+ * @param {number} episodes - Episodes per run
+ * @returns {object} Averaged metrics, plus how many mazes were solved at all
+ */
+export const summarizeRuns = (runs, episodes) => {
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    return {
+        episodesToFirstSuccess: average(runs.map(run => run.episodesToFirstSuccess ?? episodes)),
+        finalAverageSteps: average(runs.map(run => run.finalAverageSteps)),
+        successRate: average(runs.map(run => run.successRate)),
+        mazesSolved: runs.filter(run => run.episodesToFirstSuccess !== null).length,
+        mazes: runs.length
+    };
+};
+
+/**
+ * Order sweep results best first: highest final success rate, then fewest final steps,
+ * then fastest first success
+ */
+export const compareSweepResults = (a, b) =>
+    b.successRate - a.successRate ||
+    a.finalAverageSteps - b.finalAverageSteps ||
+    a.episodesToFirstSuccess - b.episodesToFirstSuccess;
+
+/**
+ * Run a whole sweep synchronously (for Node scripts; the UI uses sweep-worker.js)
+ * @param {object[]} configurations - Configurations to try
+ * @param {Maze[]} mazes - Mazes every configuration is trained on
+ * @param {object} settings - Sweep settings, see evaluateConfiguration
+ * @returns {object[]} Results (configuration plus averaged metrics), best first
+ */
+export const runSweep = (configurations, mazes, settings) =>
+    configurations
+        .map(configuration => ({
+            configuration,
+            ...summarizeRuns(mazes.map(maze => evaluateConfiguration(configuration, maze, settings)), settings.episodes)
+        }))
+        .sort(compareSweepResults);
@@ -0,0 +1,133 @@
+import { Maze } from './maze.js';
+import { createAgentFromData } from './agents.js';
+import { createRewardFunction } from './rewards.js';
+import { MicromouseEnvironment, Trainer, getSuccessRate } from './training.js';
+
+/**
+ * Background training worker for Micromouse AI
+ * Runs the headless Trainer off the main thread so the page stays responsive at full speed.
+ *
+ * Messages in:
+ *   { type: 'start', maze, agent, episode, maxSteps, scoreboardSteps } - serialized maze/agent to train
+ *   { type: 'configure', maxSteps, planningSteps, rewards, hyperparameters }
+ *                                                                     - change settings while running
+ *   { type: 'stop' }                                                  - finish with a final snapshot and close
+ * Messages out:
+ *   { type: 'progress', episode, steps, explorationRate, exploration, successRate, episodes }
+ *                                                                     - finished episodes since the last report
+ *                                                                       (leaderboard runs and the latest carry recordings)
+ *   { type: 'snapshot', episode, agent, final }                                - the serialized agent
+ */
+
+// Train in short slices so 'stop' and 'configure' messages get handled in between
+const SLICE_DURATION = 50;
+const STEPS_PER_TIME_CHECK = 200;
+const SNAPSHOT_INTERVAL = 1000;
+const SUCCESS_RATE_WINDOW = 100;
+const MAX_SCOREBOARD_ENTRIES = 10;
+
+let trainer = null;
+let running = false;
+let recentResults = [];
+let pendingEpisodes = [];
+let scoreboardSteps = [];
+let lastSnapshotTime = 0;
+
+const start = (data) => {
+    const maze = Maze.deserialize(data.maze, 1);
+    const agent = createAgentFromData(data.agent);
+    trainer = new Trainer(new MicromouseEnvironment(maze, agent, { maxSteps: data.maxSteps }), { record: true });
+    trainer.episode = data.episode;
+    scoreboardSteps = [...data.scoreboardSteps].sort((a, b) => a - b);
+    recentResults = [];
+    pendingEpisodes = [];
+    lastSnapshotTime = performance.now();
+    running = true;
+    runSlice();
+};
+
+// Successful runs that would make the leaderboard carry the Q-table that achieved them.
+// Recordings only go out with those and with the latest episode of each report.
+const recordEpisode = (summary) => {
+    recentResults.push(summary);
+    if (recentResults.length > SUCCESS_RATE_WINDOW) recentResults.shift();
+
+    const qualifies = scoreboardSteps.length < MAX_SCOREBOARD_ENTRIES || summary.steps < scoreboardSteps[scoreboardSteps.length - 1];
+    if (summary.outcome === 'success' && qualifies) {
+        summary.qTable = trainer.agent.getQTableCopy();
+        scoreboardSteps.push(summary.steps);
+        scoreboardSteps.sort((a, b) => a - b);
+        scoreboardSteps = scoreboardSteps.slice(0, MAX_SCOREBOARD_ENTRIES);
+    }
+    const previous = pendingEpisodes[pendingEpisodes.length - 1];
+    if (previous && !previous.qTable) delete previous.recording;
+    pendingEpisodes.push(summary);
+};
+
+const runSlice = () => {
+    if (!running) return;
+
+    const sliceEnd = performance.now() + SLICE_DURATION;
+    while (performance.now() < sliceEnd) {
+        for (let i = 0; i < STEPS_PER_TIME_CHECK; i++) {
+            const transition = trainer.step();
+            if (transition.done) {
+                recordEpisode(transition.episode);
+                trainer.advanceEpisode();
+            }
+        }
+    }
+
+    postProgress();
+    if (performance.now() - lastSnapshotTime >= SNAPSHOT_INTERVAL) {
+        postSnapshot(false);
+    }
+    setTimeout(runSlice, 0);
+};
+
+const postProgress = () => {
+    self.postMessage({
+        type: 'progress',
+        episode: trainer.episode,
+        steps: trainer.environment.mouse.steps,
+        explorationRate: trainer.agent.explorationRate,
+        exploration: trainer.agent.exploration.serialize(),
+        successRate: getSuccessRate(recentResults, SUCCESS_RATE_WINDOW),
+        episodes: pendingEpisodes
+    });
+    pendingEpisodes = [];
+};
+
+const postSnapshot = (final) => {
+    lastSnapshotTime = performance.now();
+    self.postMessage({
+        type: 'snapshot',
+        episode: trainer.episode,
+        agent: trainer.agent.serialize(),
+        final
+    });
+};
+
+self.addEventListener('message', (event) => {
+    const data = event.data;
+    switch (data.type) {
+        case 'start':
+            start(data);
+            break;
+        case 'configure':
+            if (!trainer) break;
+            trainer.environment.maxSteps = data.maxSteps;
+            if ('planningSteps' in trainer.agent) trainer.agent.planningSteps = data.planningSteps;
+            trainer.agent.rewards = createRewardFunction(data.rewards);
+            trainer.agent.setHyperparameters(data.hyperparameters);
+            break;
+        case 'stop':
+            running = false;
+            if (trainer) {
+                postProgress();
+                postSnapshot(true);
+            }
+            self.close();
+            break;
+    }
+});
@@ -0,0 +1,205 @@
+import { Mouse } from './mouse.js';
+
+/**
+ * Headless training engine for Micromouse AI
+ * No DOM, canvas or animation frames: the same code drives the UI game loop,
+ * full-speed training from tests, and Node scripts (Node 22+ loads these ES modules directly).
+ */
+
+/**
+ * Reinforcement learning environment wrapping a maze and a mouse.
+ * The agent supplies the state encoding and reward function.
+ */
+export class MicromouseEnvironment {
+    /**
+     * @param {Maze} maze - Maze to train on
+     * @param {QLearningAgent} agent - Agent whose getRelativeState/getReward define states and rewards
+     * @param {object} options - Optional settings
+     * @param {Mouse} options.mouse - Mouse to move (the UI passes the one it draws). Created if omitted.
+     * @param {number} options.maxSteps - Actions per episode before it ends as a timeout
+     */
+    constructor(maze, agent, options = {}) {
+        this.maze = maze;
+        this.agent = agent;
+        this.mouse = options.mouse ?? new Mouse(maze, maze.start.x, maze.start.y, null);
+        this.maxSteps = options.maxSteps ?? 5000;
+    }
+
+    /**
+     * Put the mouse back at the start for a new episode
+     * @returns {string} Initial state
+     */
+    reset() {
+        this.mouse.reset(this.maze.start.x, this.maze.start.y);
+        return this.getState();
+    }
+
+    /**
+     * Current state as seen by the agent
+     * @returns {string} State representation
+     */
+    getState() {
+        return this.agent.getRelativeState(this.mouse);
+    }
+
+    /**
+     * Attempt a move and score it. The reward is computed after moving, so reaching
+     * the goal is rewarded on the step that gets there.
+     * @param {number} action - Direction (0: right, 1: down, 2: left, 3: up)
+     * @returns {{state: string, reward: number, done: boolean, info: object}} Transition result
+     */
+    step(action) {
+        const moved = this.mouse.move(action);
+        const reachedGoal = this.mouse.isAtEnd();
+        const timedOut = !reachedGoal && this.mouse.getActionCount() >= this.maxSteps;
+
+        let reward = this.agent.getReward(this.mouse, action, moved);
+        if (timedOut) {
+            reward += this.agent.getTimeoutPenalty();
+        }
+
+        return {
+            state: this.getState(),
+            reward,
+            done: reachedGoal || timedOut,
+            info: { moved, reachedGoal, timedOut }
+        };
+    }
+}
+
+/**
+ * Runs the observe → act → learn loop of an agent in an environment
+ * and keeps track of episodes (called generations in the UI).
+ */
+export class Trainer {
+    /**
+     * @param {MicromouseEnvironment} environment - Environment to train in
+     * @param {object} options - Optional settings
+     * @param {boolean} options.record - Attach every step to the episode summary for replays
+     */
+    constructor(environment, options = {}) {
+        this.environment = environment;
+        this.agent = environment.agent;
+        this.record = options.record ?? false;
+        this.episode = 0; // Index of the current episode
+        this.episodeReward = 0;
+        this.recording = null; // { start, steps } of the current episode when recording
+        this.startEpisode();
+    }
+
+    /**
+     * Reset the environment for the current episode
+     * @returns {string} Initial state
+     */
+    startEpisode() {
+        this.episodeReward = 0;
+        this.agent.startEpisode();
+        const state = this.environment.reset();
+        if (this.record) {
+            const { mouse } = this.environment;
+            this.recording = { start: { x: mouse.x, y: mouse.y }, steps: [] };
+        }
+        return state;
+    }
+
+    /**
+     * Take one action, learn from it and report what happened
+     * @returns {object} The transition, plus an `episode` summary when it ended the episode
+     */
+    step() {
+        const state = this.environment.getState();
+        const action = this.agent.getAction(state);
+        // The values the action was chosen from, before this step's update changes them
+        const qValues = this.record ? [...(this.agent.peekQValues(state) ?? [0, 0, 0, 0])] : null;
+        const result = this.environment.step(action);
+        if (this.record) {
+            this.recording.steps.push({ state, qValues, action, reward: result.reward, moved: result.info.moved });
+        }
+
+        // Exploration bonuses only shape learning; the episode reward stays the environment's
+        const learningReward = result.reward + this.agent.getExplorationBonus(state, action);
+        this.agent.learn(state, action, learningReward, result.state, result.done, result.info);
+        this.episodeReward += result.reward;
+
+        const transition = { state, action, ...result };
+        if (result.done) {
+            transition.episode = this.summarizeEpisode(result.info);
+        }
+        return transition;
+    }
+
+    /**
+     * Describe the episode that just ended
+     * @param {object} info - Info of the final transition
+     * @returns {object} Episode summary (with the recording, when recording)
+     */
+    summarizeEpisode(info) {
+        const { mouse } = this.environment;
+        const summary = {
+            episode: this.episode,
+            outcome: info.reachedGoal ? 'success' : 'timeout',
+            steps: mouse.steps,
+            actions: mouse.getActionCount(),
+            wallHits: mouse.wallHits,
+            cellsVisited: mouse.visitCounts.size,
+            maxVisits: mouse.maxVisitCount,
+            reward: this.episodeReward,
+            explorationRate: this.agent.explorationRate,
+            statesExplored: this.agent.getStatesExplored()
+        };
+        if (this.record) summary.recording = this.recording;
+        return summary;
+    }
+
+    /**
+     * Move on to the next episode, decaying exploration as the agent gains experience
+     * @returns {string} Initial state of the new episode
+     */
+    advanceEpisode() {
+        this.episode++;
+        this.agent.decayExploration();
+        return this.startEpisode();
+    }
+
+    /**
+     * Run one whole episode at full speed and prepare the next one
+     * @returns {object} Episode summary
+     */
+    runEpisode() {
+        let transition;
+        do {
+            transition = this.step();
+        } while (!transition.done);
+
+        this.advanceEpisode();
+        return transition.episode;
+    }
+
+    /**
+     * Train for a number of episodes
+     * @param {number} episodes - Number of episodes to run
+     * @param {Function} onEpisode - Optional callback receiving each episode summary
+     * @returns {object[]} Episode summaries
+     */
+    train(episodes, onEpisode = null) {
+        const results = [];
+        for (let i = 0; i < episodes; i++) {
+            const summary = this.runEpisode();
+            results.push(summary);
+            if (onEpisode) onEpisode(summary);
+        }
+        return results;
+    }
+}
+
+/**
+ * Share of recent episodes that reached the goal
+ * @param {Array<{outcome: string}>} results - Episode results, oldest first
+ * @param {number} window - How many of the latest episodes to look at
+ * @returns {number} Success rate between 0 and 1 (0 before any episode has finished)
+ */
+export const getSuccessRate = (results, window = 100) => {
+    const recent = results.slice(-window);
+    if (recent.length === 0) return 0;
+    return recent.filter(result => result.outcome === 'success').length / recent.length;
+};